@@ -0,0 +1,175 @@
+/**
+ * Compares the time needed to find the commands triggered by simulated messages,
+ * by testing every command of every plugin or by using the dispatch index
+ * Usage: npm run benchmark -- [--plugins 50] [--commands 20] [--messages 100000]
+ */
+const parseArgs = require("minimist");
+const Command = require("../core/models/command.js");
+const CommandIndex = require("../core/utils/command-index.js");
+
+const args = parseArgs(process.argv.slice(2), {
+    default: {
+        plugins: 50,
+        commands: 20,
+        messages: 100000
+    }
+});
+
+const words = ["play", "skip", "roll", "quote", "ban", "warn", "rank", "level", "poll", "vote", "meme", "joke", "remind", "todo", "stats", "info", "queue", "stop", "lyrics", "weather"];
+const chat = ["hello everyone", "did you see the game yesterday?", "lol", "brb", "I will roll a new character tonight", "!!!", "who wants to play?"];
+
+/**
+ * Deterministic pseudo random numbers so every run simulates the same messages
+ * @param {number} seed Seed
+ * @returns {Function} Returns a number between 0 and 1 at each call
+ */
+function createRandom(seed) {
+    return () => {
+        seed = (seed * 16807) % 2147483647;
+        return (seed - 1) / 2147483646;
+    };
+}
+
+const random = createRandom(42);
+
+/**
+ * @param {Array} array Array
+ * @returns {*} Random element of the array
+ */
+function pick(array) {
+    return array[Math.floor(random() * array.length)];
+}
+
+/**
+ * @returns {object} {plugins, triggers} fake plugins and the full triggers of their commands
+ */
+function createPlugins() {
+    const plugins = {};
+    const triggers = [];
+
+    for (let i = 0; i < args.plugins; i++) {
+        const pluginId = "plugin" + i;
+        const plugin = {
+            prefix: i % 3 === 0 ? "" : "p" + i + ".",
+            commands: {
+                command: []
+            }
+        };
+
+        for (let j = 0; j < args.commands; j++) {
+            const trigger = words[j % words.length] + (j >= words.length ? j : "") + (plugin.prefix === "" ? i : "");
+            plugin.commands.command.push(new Command({
+                trigger: trigger,
+                aliases: [trigger + "-alias"]
+            }, pluginId));
+            triggers.push("!" + plugin.prefix + trigger);
+        }
+        plugins[pluginId] = plugin;
+    }
+
+    return {
+        plugins: plugins,
+        triggers: triggers
+    };
+}
+
+/**
+ * @param {Array} triggers Full triggers of the commands
+ * @returns {Array} Messages: 30% commands, 10% unknown commands and 60% chat
+ */
+function createMessages(triggers) {
+    const messages = [];
+    for (let i = 0; i < args.messages; i++) {
+        const kind = random();
+        if (kind < 0.3) {
+            messages.push(pick(triggers) + " " + pick(words) + " 42");
+        } else if (kind < 0.4) {
+            messages.push("!" + pick(words) + "x some arguments");
+        } else {
+            messages.push(pick(chat));
+        }
+    }
+    return messages;
+}
+
+/**
+ * Find the triggered commands the way messages used to be dispatched
+ * @param {object} plugins Fake plugins
+ * @param {object} guild Fake guild
+ * @param {string} loweredCaseMessage Message converted to lower case
+ * @returns {number} Number of commands triggered
+ */
+function scan(plugins, guild, loweredCaseMessage) {
+    let found = 0;
+    for (const pluginId in plugins) {
+        const plugin = plugins[pluginId];
+        const prefix = guild.commandPrefix + guild.getPluginPrefix(pluginId, plugin.prefix);
+        if (!loweredCaseMessage.startsWith(prefix)) {
+            continue;
+        }
+
+        for (let i = 0; i < plugin.commands.command.length; i++) {
+            if (plugin.commands.command[i]._getMatchedTrigger(loweredCaseMessage, prefix, guild) !== undefined) {
+                found++;
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * @param {object} plugins Fake plugins
+ * @param {object} guild Fake guild
+ * @param {string} loweredCaseMessage Message converted to lower case
+ * @returns {number} Number of commands triggered
+ */
+function lookUp(plugins, guild, loweredCaseMessage) {
+    const commands = CommandIndex.get(plugins, guild).find(loweredCaseMessage);
+    let found = 0;
+    for (const pluginId in commands) {
+        found += commands[pluginId].length;
+    }
+    return found;
+}
+
+/**
+ * @param {string} name Name displayed in the results
+ * @param {Function} find Function returning the number of commands triggered by a message
+ * @param {Array} messages Simulated messages
+ * @returns {number} Number of commands triggered by all the messages
+ */
+function measure(name, find, messages) {
+    const start = process.hrtime();
+    let found = 0;
+    for (let i = 0; i < messages.length; i++) {
+        found += find(messages[i].toLowerCase());
+    }
+    const duration = process.hrtime(start);
+    const milliseconds = duration[0] * 1000 + duration[1] / 1e6;
+
+    console.log(name.padEnd(8) + milliseconds.toFixed(1).padStart(10) + " ms" + (milliseconds * 1000 / messages.length).toFixed(2).padStart(10) + " µs/message");
+    return {
+        found: found,
+        milliseconds: milliseconds
+    };
+}
+
+const guild = {
+    discordId: "benchmark",
+    commandPrefix: "!",
+    getPluginPrefix: (pluginId, globalPrefix) => globalPrefix,
+    getCommandAliases: () => []
+};
+const { plugins, triggers } = createPlugins();
+const messages = createMessages(triggers);
+
+console.log(args.plugins + " plugins, " + args.commands + " commands each, " + messages.length + " messages");
+const scanned = measure("scan", (message) => scan(plugins, guild, message), messages);
+const indexed = measure("index", (message) => lookUp(plugins, guild, message), messages);
+
+if (scanned.found !== indexed.found) {
+    console.error("The index found " + indexed.found + " commands instead of " + scanned.found);
+    process.exitCode = 1;
+} else {
+    console.log(indexed.found + " commands found, the index is " + (scanned.milliseconds / indexed.milliseconds).toFixed(1) + "x faster");
+}
@@ -0,0 +1,226 @@
+const { RichEmbed } = require("discord.js");
+const Plugin = require("../models/plugin.js");
+const utils = require("../utils/utils.js");
+
+const commandsPerPage = 10;
+const embedColor = 0x7289da;
+
+/**
+ * @param {DiscordJS.Message} message Message asking for help
+ * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
+ * @returns {Array} {plugin, pluginPrefix, prefix, command} for every command the author can use here, commands of a plugin are consecutive
+ */
+function getAvailableCommands(message, guild) {
+    const entries = [];
+    const plugins = Plugin.getAll();
+
+    for (const pluginId in plugins) {
+        const plugin = plugins[pluginId];
+
+        if (!plugin.enabled) {
+            continue;
+        }
+        if (guild !== undefined && (!guild.enabledPlugins.has(pluginId) && guild.enabledPlugins.size > 0)) {
+            continue;
+        }
+        if (guild !== undefined && !guild.allowsPluginInChannel(pluginId, message.channel)) {
+            continue;
+        }
+
+        const pluginPrefix = guild !== undefined ? guild.getPluginPrefix(pluginId, plugin.prefix) : plugin.prefix;
+        const prefix = (guild !== undefined ? guild.commandPrefix : "") + pluginPrefix;
+        const commands = flattenCommands([].concat(plugin.commands.command, plugin.commands.words, plugin.commands.regex, plugin.commands.reaction));
+
+        for (let i = 0; i < commands.length; i++) {
+            const command = commands[i];
+            if (!command.isAllowedFor(message.author.id, guild) || !command.isInScope(guild)) {
+                continue;
+            }
+            entries.push({
+                plugin: plugin,
+                pluginPrefix: pluginPrefix,
+                prefix: prefix,
+                command: command
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * @param {Array} commands Commands
+ * @returns {Array} The commands followed by their subcommands, depth first
+ */
+function flattenCommands(commands) {
+    let flattened = [];
+    for (let i = 0; i < commands.length; i++) {
+        flattened.push(commands[i]);
+        flattened = flattened.concat(flattenCommands(commands[i].subcommands));
+    }
+    return flattened;
+}
+
+/**
+ * @param {object} entry {plugin, pluginPrefix, prefix, command}
+ * @returns {string} How the command is triggered, e.g. "!roll <sides>", "Words: hello, world", "Regex: /#\d+/g" or "Reaction: 👍"
+ */
+function getUsage(entry) {
+    const command = entry.command;
+    switch (command.triggerType) {
+        case "words":
+            return "Words: " + command.trigger.join(", ");
+        case "regex":
+            return "Regex: /" + command.trigger + "/" + command.flags;
+        case "reaction": {
+            const emojis = [].concat(command.trigger);
+            return "Reaction: " + (emojis.length > 0 ? emojis.join(", ") : "any emoji");
+        }
+        default:
+            return command.getUsage(entry.prefix);
+    }
+}
+
+/**
+ * Find the command designated by the text typed by the user, e.g. "roll", "!roll" or "playlist add"
+ * @param {Array} entries Commands available to the user
+ * @param {string} query Text typed by the user
+ * @param {object} [guild] Discotron guild in which the message was sent
+ * @returns {object|undefined} {plugin, pluginPrefix, prefix, command} entry of the command, undefined if none matches
+ */
+function findCommand(entries, query, guild) {
+    const guildPrefix = guild !== undefined ? guild.commandPrefix : "";
+    let path = query.trim().toLowerCase().split(/\s+/).join(" ");
+    if (guildPrefix !== "" && path.startsWith(guildPrefix)) {
+        path = path.substr(guildPrefix.length);
+    }
+
+    return entries.find((entry) => {
+        const command = entry.command;
+        if (command.triggerType !== "command") {
+            return false;
+        }
+
+        const parentPath = command.parent !== undefined ? command.parent.path + " " : "";
+        const triggers = command.getTriggers(guild).map((trigger) => entry.pluginPrefix + parentPath + trigger);
+        return triggers.includes(path);
+    });
+}
+
+/**
+ * @param {Array} entries Commands available to the user
+ * @param {number} page Requested page, starting from 1
+ * @param {string} guildPrefix Command prefix of the guild
+ * @returns {RichEmbed} Embed listing the commands of the page
+ */
+function buildPage(entries, page, guildPrefix) {
+    const pageCount = Math.max(1, Math.ceil(entries.length / commandsPerPage));
+    page = Math.min(Math.max(1, page), pageCount);
+
+    const embed = new RichEmbed()
+        .setTitle("Commands (page " + page + "/" + pageCount + ")")
+        .setColor(embedColor)
+        .setFooter("Type " + guildPrefix + "help <command> for details" + (pageCount > 1 ? ", use the reactions to change page." : "."));
+
+    if (entries.length === 0) {
+        embed.setDescription("No commands are available here.");
+    }
+
+    const pageEntries = entries.slice((page - 1) * commandsPerPage, page * commandsPerPage);
+    for (let i = 0; i < pageEntries.length; i++) {
+        const entry = pageEntries[i];
+        const help = entry.command.help !== "" ? entry.command.help : "No description.";
+        embed.addField(getUsage(entry), help + " *(" + entry.plugin.name + ")*");
+    }
+
+    return embed;
+}
+
+/**
+ * @param {object} entry {plugin, pluginPrefix, prefix, command}
+ * @param {object} [guild] Discotron guild in which the message was sent
+ * @returns {RichEmbed} Embed describing the usage of the command
+ */
+function buildDetails(entry, guild) {
+    const command = entry.command;
+    const embed = new RichEmbed()
+        .setTitle(getUsage(entry))
+        .setColor(embedColor)
+        .setDescription(command.help !== "" ? command.help : "No description.")
+        .setFooter(entry.plugin.name);
+
+    const aliases = command.getTriggers(guild).slice(1);
+    if (aliases.length > 0) {
+        embed.addField("Aliases", aliases.join(", "));
+    }
+
+    const describeArgument = (arg, name) => {
+        const details = [arg.type, arg.required ? "required" : "optional"];
+        if (arg.defaultValue !== undefined) {
+            details.push("default: " + arg.defaultValue);
+        }
+        if (arg.min !== undefined) {
+            details.push("min: " + arg.min);
+        }
+        if (arg.max !== undefined) {
+            details.push("max: " + arg.max);
+        }
+        if (arg.choices.length > 0) {
+            details.push("one of: " + arg.choices.join(", "));
+        }
+        return "`" + name + "` (" + details.join(", ") + ")" + (arg.help !== "" ? " - " + arg.help : "");
+    };
+
+    if (command.args.length > 0) {
+        embed.addField("Arguments", command.args.map((arg) => describeArgument(arg, arg.name)).join("\n"));
+    }
+    if (command.options.length > 0) {
+        embed.addField("Options", command.options.map((option) => describeArgument(option, "--" + option.name)).join("\n"));
+    }
+    if (command.subcommands.length > 0) {
+        embed.addField("Subcommands", command.subcommands.map((subcommand) => {
+            return "`" + subcommand.trigger + "`" + (subcommand.help !== "" ? " - " + subcommand.help : "");
+        }).join("\n"));
+    }
+
+    const cooldown = command.getCooldown(guild);
+    if (cooldown !== undefined) {
+        embed.addField("Cooldown", cooldown.charges + " use(s) every " + utils.formatDuration(cooldown.duration) + " per " + cooldown.scope);
+    }
+
+    return embed;
+}
+
+module.exports = {
+    trigger: "help",
+    help: "List the commands you can use, or show how to use one of them",
+    args: [{
+        name: "command",
+        help: "Command to describe or page of the list",
+        allowsSpace: true
+    }],
+    allowEdits: true,
+    action: (message, args, context) => {
+        const guild = context.guild;
+        const guildPrefix = guild !== undefined ? guild.commandPrefix : "";
+        const entries = getAvailableCommands(message, guild);
+        const query = args.command === undefined ? "" : args.command.trim();
+
+        if (query === "" || /^\d+$/.test(query)) {
+            const pageCount = Math.max(1, Math.ceil(entries.length / commandsPerPage));
+            const pages = [];
+            for (let page = 1; page <= pageCount; page++) {
+                pages.push(buildPage(entries, page, guildPrefix));
+            }
+            return context.paginate(pages, {
+                startPage: query === "" ? 0 : parseInt(query, 10) - 1
+            });
+        }
+
+        const entry = findCommand(entries, query, guild);
+        if (entry === undefined) {
+            return context.reply("Unknown command **" + query + "**. Type `" + guildPrefix + "help` to see the commands you can use.");
+        }
+        return context.reply(buildDetails(entry, guild));
+    }
+};
@@ -123,6 +123,82 @@ module.exports.insert = (table, values) => {
     });
 };
 
+/**
+ * Insert one entry in the database, or update it if an entry with the same key already exists
+ * @param {string} table Table name
+ * @param {object} values New values, {fieldName: value, ...}
+ * @param {Array} keyFields Fields of the primary key, must be in values
+ * @returns {Promise} resolve(), reject(error {string})
+ */
+module.exports.upsert = (table, values, keyFields) => {
+    const database = databaseHelper.getDatabase();
+
+    return new Promise((resolve, reject) => {
+        const parameters = generateValuesForInsert(values);
+        const updates = Object.keys(values).filter((key) => !keyFields.includes(key)).map((key) => key + " = excluded." + key);
+        const sql = "INSERT INTO " + table + " " + parameters.columns + " VALUES " + parameters.params +
+            " ON CONFLICT (" + keyFields.join(",") + ") DO " + (updates.length > 0 ? "UPDATE SET " + updates.join(",") : "NOTHING");
+
+        database.run(sql, parameters.data, (err) => {
+            if (err) {
+                Logger.err("Upsert in database failed : " + sql, err);
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+};
+
+/**
+ * Add a number to a field in a single query, the entry is inserted with the number as value if it does not exist
+ * The field is left as it is if it does not contain a number
+ * @param {string} table Table name
+ * @param {string} field Field to increment
+ * @param {number} amount Number added to the field
+ * @param {object} where Primary key of the entry, {fieldName: value, ...}
+ * @returns {Promise} resolve(value {number}) value of the field after the increment, reject(error {Error}) if the field does not contain a number or the entry cannot be found
+ */
+module.exports.increment = (table, field, amount, where) => {
+    const database = databaseHelper.getDatabase();
+
+    return new Promise((resolve, reject) => {
+        const values = Object.assign({}, where);
+        values[field] = amount;
+        const parameters = generateValuesForInsert(values);
+        const sql = "INSERT INTO " + table + " " + parameters.columns + " VALUES " + parameters.params +
+            " ON CONFLICT (" + Object.keys(where).join(",") + ") DO UPDATE SET " + field + " = " + field + " + excluded." + field +
+            // Numbers stored in a text field are equal to their conversion, other texts are not
+            " WHERE " + field + " = CAST(" + field + " AS NUMERIC)";
+        const whereParameters = generateParameters(where);
+        const selectSql = "SELECT " + field + " FROM " + table + " WHERE " + whereParameters.text;
+        let isChanged = false;
+
+        // Serialized so no other query changes the field between the update and the select
+        database.serialize(() => {
+            database.run(sql, parameters.data, function (err) {
+                if (err) {
+                    Logger.err("Increment in database failed : " + sql, err);
+                    reject(err);
+                } else {
+                    isChanged = this.changes > 0;
+                }
+            });
+            database.get(selectSql, whereParameters.objParam, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else if (row === undefined) {
+                    reject(new Error("Could not find the entry to increment in " + table));
+                } else if (!isChanged) {
+                    reject(new Error("Could not increment " + field + " in " + table + ", it does not contain a number"));
+                } else {
+                    resolve(Number(row[field]));
+                }
+            });
+        });
+    });
+};
+
 /**
  * Delete entries from the database
  * @param {string} table Table names
@@ -205,6 +281,41 @@ module.exports.select = (table, fields = [], where = {}) => {
     });
 };
 
+/**
+ * Select entries from a table whose field starts with a prefix
+ * @param {string} table Name of the table
+ * @param {Array} fields Fields to retrieve
+ * @param {object} where Which values to retrieve, {fieldName: value, ...}
+ * @param {string} prefixField Field that must start with the prefix
+ * @param {string} prefix Prefix of the field, case sensitive
+ * @returns {Promise} resolve(rows {array}) rows: Contains {fieldName: value} objects, reject(error {string})
+ */
+module.exports.selectByPrefix = (table, fields, where, prefixField, prefix) => {
+    const database = databaseHelper.getDatabase();
+
+    return new Promise((resolve, reject) => {
+        const parameters = generateParameters(where);
+        // substr instead of LIKE, which would need % and _ to be escaped and ignores the case
+        let sql = "SELECT " + (fields.length === 0 ? "*" : fields.join(",")) + " FROM " + table +
+            " WHERE substr(" + prefixField + ", 1, length($prefix)) = $prefix";
+        if (!utils.isEmpty(where)) {
+            sql += " AND " + parameters.text;
+        }
+        const objParam = Object.assign({
+            $prefix: prefix
+        }, parameters.objParam);
+
+        database.all(sql, objParam, (err, rows) => {
+            if (err) {
+                Logger.err("Select in database failed : " + sql);
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+};
+
 /**
  * Executes one or more raw SQL statements.
  *
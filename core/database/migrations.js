@@ -8,7 +8,7 @@ const db = require("../database/crud.js");
  */
 module.exports.listMigrations = () => {
     return fs.readdirSync(__dirname + "/migrations/")
-        .filter((migration) => /^\d{4}-\d{2}-\d{2}-\w+\.js$/.test(migration))
+        .filter((migration) => /^\d{4}-\d{2}-\d{2}-[\w-]+\.js$/.test(migration))
         .sort();
 };
 
@@ -0,0 +1,19 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE CommandAliases (discordGuildId TEXT NOT NULL REFERENCES Guilds (discordGuildId) ON DELETE CASCADE, pluginId TEXT NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, commandKey TEXT NOT NULL, alias TEXT NOT NULL, PRIMARY KEY (discordGuildId, pluginId, commandKey, alias));
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DROP TABLE CommandAliases;
+
+COMMIT TRANSACTION;
+`;
+};
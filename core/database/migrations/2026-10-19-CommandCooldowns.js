@@ -0,0 +1,19 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE CommandCooldowns (discordGuildId TEXT NOT NULL REFERENCES Guilds (discordGuildId) ON DELETE CASCADE, pluginId TEXT NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, commandKey TEXT NOT NULL, scope TEXT NOT NULL, duration REAL NOT NULL, charges INTEGER NOT NULL, PRIMARY KEY (discordGuildId, pluginId, commandKey));
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DROP TABLE CommandCooldowns;
+
+COMMIT TRANSACTION;
+`;
+};
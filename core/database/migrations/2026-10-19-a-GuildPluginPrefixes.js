@@ -0,0 +1,19 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE GuildPluginPrefixes (discordGuildId TEXT NOT NULL REFERENCES Guilds (discordGuildId) ON DELETE CASCADE, pluginId TEXT NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, prefix TEXT NOT NULL, PRIMARY KEY (discordGuildId, pluginId));
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DROP TABLE GuildPluginPrefixes;
+
+COMMIT TRANSACTION;
+`;
+};
@@ -0,0 +1,22 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+ALTER TABLE GuildSettings ADD COLUMN mentionPrefix INTEGER DEFAULT (0) NOT NULL;
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE GuildSettingsBackup (discordGuildId TEXT NOT NULL REFERENCES Guilds (discordGuildId) ON DELETE CASCADE, prefix TEXT DEFAULT ('!') NOT NULL, suggestCommands INTEGER DEFAULT (0) NOT NULL, PRIMARY KEY (discordGuildId));
+INSERT INTO GuildSettingsBackup SELECT discordGuildId, prefix, suggestCommands FROM GuildSettings;
+DROP TABLE GuildSettings;
+ALTER TABLE GuildSettingsBackup RENAME TO GuildSettings;
+
+COMMIT TRANSACTION;
+`;
+};
@@ -0,0 +1,19 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE PluginChannels (discordGuildId TEXT NOT NULL REFERENCES Guilds (discordGuildId) ON DELETE CASCADE, pluginId TEXT NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, discordChannelId TEXT NOT NULL, allowed INTEGER NOT NULL, PRIMARY KEY (discordGuildId, pluginId, discordChannelId));
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DROP TABLE PluginChannels;
+
+COMMIT TRANSACTION;
+`;
+};
@@ -0,0 +1,19 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE CommandPermissions (discordGuildId TEXT NOT NULL REFERENCES Guilds (discordGuildId) ON DELETE CASCADE, pluginId TEXT NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, commandKey TEXT NOT NULL, userRoleId INTEGER NOT NULL REFERENCES UsersRoles (id) ON DELETE CASCADE, PRIMARY KEY (discordGuildId, pluginId, commandKey, userRoleId));
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DROP TABLE CommandPermissions;
+
+COMMIT TRANSACTION;
+`;
+};
@@ -0,0 +1,21 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE PluginPriorities (pluginId TEXT PRIMARY KEY NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, priority INTEGER NOT NULL);
+CREATE TABLE GuildPluginPriorities (discordGuildId TEXT NOT NULL REFERENCES Guilds (discordGuildId) ON DELETE CASCADE, pluginId TEXT NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, priority INTEGER NOT NULL, PRIMARY KEY (discordGuildId, pluginId));
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DROP TABLE GuildPluginPriorities;
+DROP TABLE PluginPriorities;
+
+COMMIT TRANSACTION;
+`;
+};
@@ -0,0 +1,19 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE ScheduledJobs (id TEXT NOT NULL, pluginId TEXT NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, name TEXT NOT NULL, discordGuildId TEXT NOT NULL DEFAULT '', type TEXT NOT NULL, schedule TEXT NOT NULL, data TEXT, nextRun INTEGER NOT NULL, PRIMARY KEY (pluginId, id));
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DROP TABLE ScheduledJobs;
+
+COMMIT TRANSACTION;
+`;
+};
@@ -0,0 +1,19 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+INSERT INTO BotSettings (name, value) VALUES ('welcomeMessage', '');
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DELETE FROM BotSettings WHERE name = 'welcomeMessage';
+
+COMMIT TRANSACTION;
+`;
+};
@@ -0,0 +1,19 @@
+module.exports.up = function () {
+    return `
+BEGIN TRANSACTION;
+
+CREATE TABLE PluginStorage (pluginId TEXT NOT NULL REFERENCES Plugins (id) ON DELETE CASCADE, discordGuildId TEXT NOT NULL DEFAULT '', discordUserId TEXT NOT NULL DEFAULT '', key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (pluginId, discordGuildId, discordUserId, key));
+
+COMMIT TRANSACTION;
+`;
+};
+
+module.exports.down = function () {
+    return `
+BEGIN TRANSACTION;
+
+DROP TABLE PluginStorage;
+
+COMMIT TRANSACTION;
+`;
+};
@@ -2,20 +2,40 @@ const BotSettings = require("./models/bot-settings.js");
 const Repository = require("./models/repository.js");
 const Guild = require("./models/guild.js");
 const Plugin = require("./models/plugin.js");
+const Command = require("./models/command.js");
 const Owner = require("./models/owner.js");
 const SpamUser = require("./models/spam-user.js");
+const Paginator = require("./models/paginator.js");
+const Conversation = require("./models/conversation.js");
 const Logger = require("./utils/logger.js");
+const utils = require("./utils/utils.js");
+const tokenizer = require("./utils/tokenizer.js");
+const CommandIndex = require("./utils/command-index.js");
 const Login = require("./login.js");
 const db = require("./database/crud.js");
 const discordClientProvider = require("./utils/discord-client-provider.js");
+const webServer = require("../dashboard/backend/webserver.js");
+const config = require("./config.json");
 
 const botSettings = new BotSettings();
 
-const actions = {};
+// Commands provided by Discotron itself, only the guild prefix applies to them
+const coreCommands = [
+    new Command(require("./commands/help.js"), "discotron")
+];
+
+const maxSuggestionDistance = 2;
+const maxSuggestionCount = 3;
+
+// Actions that can be triggered even if nothing listens to them yet
+const actions = {
+    "guild-joined": [],
+    "guild-left": []
+};
 
 /**
  * Add a listener for Discotron events
- * Valid actions are: "plugin-loaded", "plugin-delete"
+ * Valid actions are: "plugin-loaded", "plugin-deleted", "guild-joined", "guild-left", the Discord guild id is given to the listeners of the guild actions
  * @param {string} actionName Name of the action
  * @param {Function} action Function to call when the action occurs
  */
@@ -27,6 +47,17 @@ module.exports.on = (actionName, action) => {
     actions[actionName].push(action);
 };
 
+/**
+ * Remove a listener added with on()
+ * @param {string} actionName Name of the action
+ * @param {Function} action Function given to on()
+ */
+module.exports.off = (actionName, action) => {
+    if (actions[actionName] !== undefined && actions[actionName].includes(action)) {
+        actions[actionName].splice(actions[actionName].indexOf(action), 1);
+    }
+};
+
 /**
  * Triggers a Discotron event
  * @param {string} actionName Name of the action to trigger
@@ -42,17 +73,98 @@ module.exports.triggerEvent = (actionName, data) => {
     }
 };
 
+// The dispatch index contains the triggers of the loaded plugins
+module.exports.on("plugin-loaded", () => {
+    CommandIndex.invalidate();
+});
+
+module.exports.on("plugin-deleted", () => {
+    CommandIndex.invalidate();
+});
+
 /**
  * Should be called when the bot receives a message
  * Handles message reception
  * @param {DiscordJS.Message} message Received message
+ * @returns {Promise} resolve() once the actions of the triggered commands are done, never rejects
  */
 module.exports.onMessage = (message) => {
     Logger.debug(`__#${message.channel.name}__ <${message.author.tag}>: ${message.content}`);
+    return dispatchMessage(message, false);
+};
+
+/**
+ * Should be called when a message is edited
+ * Runs the commands allowing edits again
+ * @param {DiscordJS.Message} oldMessage Message before the edit
+ * @param {DiscordJS.Message} newMessage Message after the edit
+ * @returns {Promise} resolve() once the actions of the triggered commands are done, never rejects
+ */
+module.exports.onMessageUpdate = (oldMessage, newMessage) => {
+    // Discord also updates messages when it adds embeds to them
+    if (oldMessage.content === newMessage.content) {
+        return Promise.resolve();
+    }
+
+    Logger.debug(`__#${newMessage.channel.name}__ <${newMessage.author.tag}> (edited): ${newMessage.content}`);
+    return dispatchMessage(newMessage, true);
+};
+
+/**
+ * Should be called when Discord sends an interaction (slash command or button), see interactions.js
+ * @param {object} message InteractionMessage standing for the message that would have triggered the command
+ * @param {object} [found] {plugin, command, options, prefix} as returned by Interactions.findCommand, undefined if no command matches
+ * @returns {Promise} resolve() once the action of the command is done, never rejects
+ */
+module.exports.onInteraction = async (message, found) => {
+    Logger.debug(`<${message.author.tag}> (interaction): ${message.content}`);
+
+    if (botSettings.maintenance && !Owner.isOwner(message.author.id)) {
+        message.channel.send("The bot is in maintenance.", {ephemeral: true}).catch(Logger.err);
+        return;
+    }
+    if (found === undefined) {
+        message.channel.send("This command does not exist anymore.", {ephemeral: true}).catch(Logger.err);
+        return;
+    }
+
+    const { plugin, command, options, prefix } = found;
+    const guild = message.interaction.guild_id !== undefined ? Guild.get(message.interaction.guild_id) : undefined;
+    if (!isPluginAvailable(plugin, message, guild) || !command.isInScope(guild) ||
+        (guild !== undefined && guild.allowedChannelIds.size > 0 && !guild.allowedChannelIds.has(message.channel.id))) {
+        message.channel.send("This command cannot be used here.", {ephemeral: true}).catch(Logger.err);
+        return;
+    }
+    if (!command.isAllowedFor(message.author.id, guild)) {
+        message.channel.send("You are not allowed to use this command.", {ephemeral: true}).catch(Logger.err);
+        return;
+    }
+
+    const apiCollection = plugin.getApiObject();
+    await runCommandAction(plugin, command, message, guild, message.author.id, () => {
+        if (options !== undefined) {
+            return command.doInteractionAction(message, options, apiCollection, prefix, guild);
+        }
+        return command.doMessageAction(message, tokenizer.tokenize(message.content), apiCollection, prefix, guild);
+    });
+};
+
+/**
+ * Find the commands triggered by a message and execute them
+ * @param {DiscordJS.Message} message Received or edited message
+ * @param {boolean} isEdit True if the message was edited, only commands allowing edits are executed then
+ * @returns {Promise} resolve() once the actions of the triggered commands are done, never rejects
+ */
+async function dispatchMessage(message, isEdit) {
     if (message.author.bot) {
         return;
     }
 
+    // Answers to the questions of commands waiting for the user, see Conversation
+    if (!isEdit && Conversation.handleMessage(message)) {
+        return;
+    }
+
     if (botSettings.maintenance && !Owner.isOwner(message.author.id)) {
         return;
     }
@@ -66,41 +178,62 @@ module.exports.onMessage = (message) => {
         return;
     }
 
-    const loweredCaseMessage = message.content.toLowerCase();
-
-    const isCommand = guild === undefined || message.content.startsWith(guild.commandPrefix);
+    const content = getCommandContent(message, guild);
+    const loweredCaseMessage = content.toLowerCase();
+
+    const isCommand = guild === undefined || content.startsWith(guild.commandPrefix);
+    const tokens = tokenizer.tokenize(content);
+
+    // Called one after the other once every triggered command is known, see runHandlers
+    const handlers = [];
+    const coreHandlers = [];
+    let isKnownCommand = false;
+    let isPluginCommand = false;
+
+    const corePrefix = guild !== undefined ? guild.commandPrefix : "";
+    if (isCommand) {
+        for (let i = 0; i < coreCommands.length; i++) {
+            const command = coreCommands[i];
+            if ((!isEdit || command.allowEdits) && command.triggeredBy(message, loweredCaseMessage, corePrefix, guild) && command.isInScope(guild)) {
+                isKnownCommand = true;
+                coreHandlers.push({
+                    plugin: undefined,
+                    command: command,
+                    apiCollection: getCoreApiObject(),
+                    prefix: corePrefix
+                });
+            }
+        }
+    }
 
     const plugins = Plugin.getAll();
-    for (const pluginId in plugins) {
+    const indexedCommands = isCommand ? CommandIndex.get(plugins, guild).find(loweredCaseMessage) : {};
+    const pluginIds = getPluginIdsByPriority(plugins, guild);
+    for (let p = 0; p < pluginIds.length; p++) {
+        const pluginId = pluginIds[p];
         let commands = [];
         const plugin = plugins[pluginId];
 
-        if (!plugin.enabled) {
-            continue;
-        }
-
-        if (guild !== undefined && !guild.permissions[pluginId].allows(message.author.id)) {
-            continue;
-        }
-
-        if (guild !== undefined && (!guild.enabledPlugins.has(pluginId) && guild.enabledPlugins.size > 0)) {
+        if (!isPluginAvailable(plugin, message, guild)) {
             continue;
         }
 
-        let prefix = "";
+        let prefix = plugin.prefix;
 
         if (guild !== undefined) {
-            prefix += guild.commandPrefix;
+            prefix = guild.commandPrefix + guild.getPluginPrefix(pluginId, plugin.prefix);
         }
 
-        prefix += plugin.prefix;
+        if (indexedCommands[pluginId] !== undefined) {
+            // Keep the order in which the plugin declares its commands
+            const candidates = plugin.commands.command.filter((command) => indexedCommands[pluginId].includes(command));
+            for (let i = 0; i < candidates.length; i++) {
+                const command = candidates[i];
 
-        if (isCommand && (loweredCaseMessage.startsWith(prefix))) {
-            for (let i = 0; i < plugin.commands.command.length; i++) {
-                const command = plugin.commands.command[i];
-
-                if (command.triggeredBy(message, loweredCaseMessage, prefix)) {
+                if (command.triggeredBy(message, loweredCaseMessage, prefix, guild)) {
                     commands.push(command);
+                    isKnownCommand = true;
+                    isPluginCommand = true;
                 }
             }
         }
@@ -108,10 +241,21 @@ module.exports.onMessage = (message) => {
         if (commands.length === 0) {
             for (let i = 0; i < plugin.commands.words.length; i++) {
                 const command = plugin.commands.words[i];
-                if (command.triggeredBy(message, loweredCaseMessage)) {
+                if (command.triggeredBy(message, loweredCaseMessage, prefix, guild)) {
                     commands.push(command);
                 }
             }
+
+            for (let i = 0; i < plugin.commands.regex.length; i++) {
+                const command = plugin.commands.regex[i];
+                if (command.triggeredBy(message, loweredCaseMessage, prefix, guild)) {
+                    commands.push(command);
+                }
+            }
+        }
+
+        if (isEdit) {
+            commands = commands.filter((command) => command.allowEdits);
         }
 
         // Spam detection
@@ -131,28 +275,353 @@ module.exports.onMessage = (message) => {
         // "All"
         for (let i = 0; i < plugin.commands.all.length; i++) {
             const command = plugin.commands.all[i];
-            if (command.triggeredBy(message, loweredCaseMessage)) {
+            if ((!isEdit || command.allowEdits) && command.triggeredBy(message, loweredCaseMessage, prefix, guild)) {
                 commands.push(command);
             }
         }
 
         // Trigger valid messages
-        const words = message.content.split(" ");
-
+        commands = sortByPriority(commands, (command) => command.priority);
         for (let i = 0; i < commands.length; i++) {
             const command = commands[i];
-            if (command.scope === "everywhere" || (command.scope === "pm" && guild === undefined) || (command.scope === "guild" && guild !== undefined)) {
-                try {
-                    command.doMessageAction(message, words, plugin.getApiObject());
-                } catch (error) {
-                    Logger.err("An error occurred in plugin: **" + plugin.name + "** while executing command **" + command.trigger + "**", error);
-                }
+            if (command.isInScope(guild)) {
+                handlers.push({
+                    plugin: plugin,
+                    command: command,
+                    apiCollection: plugin.getApiObject(),
+                    prefix: prefix
+                });
+            }
+        }
+    }
+
+    // Plugin commands take precedence over the core commands sharing their trigger
+    if (coreHandlers.length > 0 && !isPluginCommand) {
+        if (Owner.isOwner(message.author.id) || coreHandlers.every((handler) => handler.command.bypassSpamDetection)) {
+            handlers.unshift(...coreHandlers);
+        } else {
+            SpamUser.onAction(message.author);
+            if (!SpamUser.isRestricted(message.author)) {
+                handlers.unshift(...coreHandlers);
             }
         }
     }
 
+    if (!isKnownCommand && !isEdit && guild !== undefined && guild.suggestCommands && isCommand) {
+        suggestCommands(message, guild, content);
+    }
+
+    await runHandlers(handlers, message, tokens, guild, content);
+}
+
+/**
+ * Should be called when a user reacts to a message
+ * @param {DiscordJS.MessageReaction} reaction Reaction added to the message
+ * @param {DiscordJS.User} user User who reacted
+ * @returns {Promise} resolve() once the actions of the triggered commands are done, never rejects
+ */
+module.exports.onReaction = (reaction, user) => {
+    return dispatchReaction(reaction, user, "add");
 };
 
+/**
+ * Should be called when a user removes his reaction from a message
+ * @param {DiscordJS.MessageReaction} reaction Reaction removed from the message
+ * @param {DiscordJS.User} user User who removed his reaction
+ * @returns {Promise} resolve() once the actions of the triggered commands are done, never rejects
+ */
+module.exports.onReactionRemove = (reaction, user) => {
+    return dispatchReaction(reaction, user, "remove");
+};
+
+/**
+ * Find the commands of type "reaction" triggered by a reaction and execute them, with the same checks as commands triggered by messages
+ * @param {DiscordJS.MessageReaction} reaction Added or removed reaction
+ * @param {DiscordJS.User} user User who added or removed the reaction
+ * @param {string} event "add" or "remove"
+ * @returns {Promise} resolve() once the actions of the triggered commands are done, never rejects
+ */
+async function dispatchReaction(reaction, user, event) {
+    const message = reaction.message;
+    if (user.bot) {
+        return;
+    }
+
+    if (event === "add" && (Paginator.handleReaction(reaction, user) || Conversation.handleReaction(reaction, user))) {
+        return;
+    }
+
+    if (botSettings.maintenance && !Owner.isOwner(user.id)) {
+        return;
+    }
+
+    let guild;
+    if (message.guild !== null) {
+        guild = Guild.get(message.guild.id);
+    }
+
+    if (guild !== undefined && (!guild.allowedChannelIds.has(message.channel.id) && guild.allowedChannelIds.size > 0)) {
+        return;
+    }
+
+    Logger.debug(`__#${message.channel.name}__ <${user.tag}> (reaction ${event}): ${reaction.emoji.name}`);
+
+    const handlers = [];
+    const plugins = Plugin.getAll();
+    const pluginIds = getPluginIdsByPriority(plugins, guild);
+    for (let p = 0; p < pluginIds.length; p++) {
+        const plugin = plugins[pluginIds[p]];
+        if (!isPluginAvailable(plugin, message, guild)) {
+            continue;
+        }
+
+        let commands = plugin.commands.reaction.filter((command) => {
+            return command.triggeredByReaction(reaction, user, event, guild) && command.isInScope(guild);
+        });
+
+        // Spam detection
+        if (commands.some((command) => !command.bypassSpamDetection) && !Owner.isOwner(user.id)) {
+            SpamUser.onAction(user);
+            if (SpamUser.isRestricted(user)) {
+                commands = [];
+            }
+        }
+
+        commands = sortByPriority(commands, (command) => command.priority);
+        for (let i = 0; i < commands.length; i++) {
+            handlers.push({
+                plugin: plugin,
+                command: commands[i]
+            });
+        }
+    }
+
+    const propagation = {
+        stopped: false
+    };
+    for (let i = 0; i < handlers.length && !propagation.stopped; i++) {
+        const { plugin, command } = handlers[i];
+        await runCommandAction(plugin, command, message, guild, user.id, () => {
+            return command.doReactionAction(reaction, user, event, plugin.getApiObject(), guild, propagation);
+        });
+    }
+}
+
+/**
+ * Call the actions of the triggered commands one after the other, an action can stop the propagation to the "words" and "all" handlers following it
+ * @param {Array} handlers {plugin, command, apiCollection, prefix} ordered by priority
+ * @param {DiscordJS.Message} message Received message
+ * @param {Array} tokens Tokens of the message as returned by tokenizer.tokenize
+ * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
+ * @param {string} content Text of the command, see getCommandContent
+ * @returns {Promise} resolve() once every action is done, never rejects
+ */
+async function runHandlers(handlers, message, tokens, guild, content) {
+    const propagation = {
+        stopped: false
+    };
+
+    for (let i = 0; i < handlers.length; i++) {
+        const handler = handlers[i];
+        const command = handler.command;
+        if (propagation.stopped && (command.triggerType === "words" || command.triggerType === "all")) {
+            continue;
+        }
+
+        await runCommandAction(handler.plugin, command, message, guild, message.author.id, () => {
+            return command.doMessageAction(message, tokens, handler.apiCollection, handler.prefix, guild, content, propagation);
+        });
+    }
+}
+
+/**
+ * @param {Array} items Items to sort
+ * @param {Function} getPriority Returns the priority of an item
+ * @returns {Array} Copy of the array sorted from the highest priority to the lowest, items with the same priority keep their order
+ */
+function sortByPriority(items, getPriority) {
+    return items.map((item, index) => {
+        return {
+            item: item,
+            index: index
+        };
+    }).sort((a, b) => {
+        return (getPriority(b.item) - getPriority(a.item)) || (a.index - b.index);
+    }).map((entry) => entry.item);
+}
+
+/**
+ * @param {object} plugins {plugin id => plugin} loaded plugins
+ * @param {object} [guild] Discotron guild whose order of the plugins is used, undefined in private messages
+ * @returns {Array} Ids of the plugins from the highest priority to the lowest
+ */
+function getPluginIdsByPriority(plugins, guild) {
+    return sortByPriority(Object.keys(plugins), (pluginId) => {
+        const priority = plugins[pluginId].priority;
+        return guild !== undefined ? guild.getPluginPriority(pluginId, priority) : priority;
+    });
+}
+
+/**
+ * Replace a leading mention of the bot by the guild prefix if the guild allows it,
+ * e.g. "@Bot roll 6" gives "!roll 6" and "@Bot" alone gives "!help"
+ * @param {DiscordJS.Message} message Received message
+ * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
+ * @returns {string} Text of the command
+ */
+function getCommandContent(message, guild) {
+    if (guild === undefined || !guild.mentionPrefix) {
+        return message.content;
+    }
+
+    const match = /^<@!?(\d+)>(?:\s+|$)/.exec(message.content);
+    if (match === null || match[1] !== discordClientProvider.get().user.id) {
+        return message.content;
+    }
+
+    const command = message.content.substr(match[0].length);
+    return guild.commandPrefix + (command === "" ? "help" : command);
+}
+
+/**
+ * @param {object} plugin Plugin
+ * @param {DiscordJS.Message} message Received message
+ * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
+ * @returns {boolean} True if the plugin is enabled and can be used in this channel, permissions are checked for each command
+ */
+function isPluginAvailable(plugin, message, guild) {
+    if (!plugin.enabled) {
+        return false;
+    }
+
+    if (guild !== undefined && (!guild.enabledPlugins.has(plugin.id) && guild.enabledPlugins.size > 0)) {
+        return false;
+    }
+
+    if (guild !== undefined && !guild.allowsPluginInChannel(plugin.id, message.channel)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Reply with the triggers closest to an unknown command, among the ones the author can use
+ * Replies count as spam so typos cannot be used to flood a channel
+ * @param {DiscordJS.Message} message Message starting with the guild prefix but matching no command
+ * @param {object} guild Discotron guild in which the message was sent
+ * @param {string} content Text of the command, see getCommandContent
+ */
+function suggestCommands(message, guild, content) {
+    const typedTrigger = content.substr(guild.commandPrefix.length).split(/\s/)[0].toLowerCase();
+    if (typedTrigger === "") {
+        return;
+    }
+
+    const isOwner = Owner.isOwner(message.author.id);
+    let triggers = [];
+    const addTriggers = (commands, pluginPrefix) => {
+        for (let i = 0; i < commands.length; i++) {
+            const command = commands[i];
+            if (command.isAllowedFor(message.author.id, guild) && command.isInScope(guild)) {
+                triggers = triggers.concat(command.getTriggers(guild).map((trigger) => pluginPrefix + trigger));
+            }
+        }
+    };
+
+    addTriggers(coreCommands, "");
+    const plugins = Plugin.getAll();
+    for (const pluginId in plugins) {
+        const plugin = plugins[pluginId];
+        if (isPluginAvailable(plugin, message, guild)) {
+            addTriggers(plugin.commands.command, guild.getPluginPrefix(pluginId, plugin.prefix));
+        }
+    }
+
+    const suggestions = Array.from(new Set(triggers)).map((trigger) => {
+        return {
+            trigger: trigger,
+            distance: utils.editDistance(typedTrigger, trigger)
+        };
+    }).filter((suggestion) => {
+        return suggestion.distance <= maxSuggestionDistance && suggestion.distance < typedTrigger.length;
+    }).sort((a, b) => a.distance - b.distance).slice(0, maxSuggestionCount);
+
+    if (suggestions.length === 0) {
+        return;
+    }
+
+    if (!isOwner) {
+        SpamUser.onAction(message.author);
+        if (SpamUser.isRestricted(message.author)) {
+            return;
+        }
+    }
+
+    const suggestedCommands = suggestions.map((suggestion) => "`" + guild.commandPrefix + suggestion.trigger + "`");
+    message.channel.send("Unknown command **" + typedTrigger + "**. Did you mean " + suggestedCommands.join(", ") + "?").catch(Logger.err);
+}
+
+/**
+ * @returns {object} APIs that can be used by core commands
+ */
+function getCoreApiObject() {
+    return {
+        discotron: module.exports,
+        discordClient: discordClientProvider.get({allowOffline: true}),
+        Logger: Logger
+    };
+}
+
+/**
+ * Wait for the action of a command to finish, report errors and timeouts to the plugin logs and to the user
+ * @param {object} [plugin] Plugin containing the command, undefined for core commands
+ * @param {object} command Command being executed
+ * @param {DiscordJS.Message} message Message that triggered the command
+ * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
+ * @param {string} discordUserId Discord id of the user who used the command, the timeout is extended while a question waits for their answer
+ * @param {Function} execute Triggers the action, may return a Promise
+ * @returns {Promise} resolve() once the action is done, failed or timed out, never rejects
+ */
+function runCommandAction(plugin, command, message, guild, discordUserId, execute) {
+    const timeoutInSeconds = config.commands.timeoutInSeconds;
+    let timer;
+
+    const promises = [new Promise((resolve) => {
+        resolve(execute());
+    })];
+    if (timeoutInSeconds > 0) {
+        promises.push(new Promise((resolve, reject) => {
+            const onTimeout = () => {
+                if (Conversation.isWaitingFor(discordUserId)) {
+                    timer = setTimeout(onTimeout, timeoutInSeconds * 1000);
+                } else {
+                    reject(new Error("Timed out after " + timeoutInSeconds + " seconds."));
+                }
+            };
+            timer = setTimeout(onTimeout, timeoutInSeconds * 1000);
+        }));
+    }
+
+    return Promise.race(promises).catch((error) => {
+        const location = guild !== undefined ? "guild " + guild.discordId : "private messages";
+        const details = error instanceof Error ? error.stack : error;
+
+        if (plugin !== undefined) {
+            plugin.log("Error while executing command " + command.key + " in " + location + ":\n" + details);
+            Logger.err("An error occurred in plugin: **" + plugin.name + "** while executing command **" + command.key + "**", error);
+        } else {
+            Logger.err("An error occurred while executing core command **" + command.key + "**", error);
+        }
+
+        if (config.commands.errorReply !== "") {
+            message.channel.send(config.commands.errorReply).catch(Logger.err);
+        }
+    }).finally(() => {
+        clearTimeout(timer);
+    });
+}
+
 /**
  * Load guild settings from database
  * TODO: This should probably be moved into the guild class
@@ -171,8 +640,8 @@ module.exports.loadGuilds = () => {
 
 /**
  * Reload guilds, admins from the guild object
+ * Catches up with the guilds joined or left while the bot was offline, see onJoinGuild and onLeaveGuild for the other ones
  * TODO: Move this in the Guild class
- * TODO: Call this when guilds change
  * TODO: Check if it's complete
  */
 module.exports.updateGuilds = () => {
@@ -203,7 +672,7 @@ module.exports.updateGuilds = () => {
     }
     for (let i = 0; i < removedGuilds.length; ++i) {
         const discordGuildId = removedGuilds[i];
-        Guild.get(discordGuildId).delete();
+        deleteGuild(discordGuildId);
     }
 
     // Load *native* admins
@@ -225,10 +694,59 @@ module.exports.loadOwners = () => {
     }).catch(Logger.err);
 };
 
+/**
+ * Should be called when the bot joins a guild
+ * Creates the Discotron guild, sends the welcome message to the owner of the guild and triggers "guild-joined"
+ * @param {DiscordJS.Guild} discordGuild Joined guild
+ */
+module.exports.onJoinGuild = (discordGuild) => {
+    // Already known if updateGuilds found it first
+    if (Guild.get(discordGuild.id) !== undefined) {
+        Guild.get(discordGuild.id).loadDiscordAdmins();
+        return;
+    }
+
+    Logger.info("Joined guild **" + discordGuild.name + "** (" + discordGuild.id + ")");
+    new Guild(discordGuild.id).loadDiscordAdmins();
+
+    if (botSettings.welcomeMessage !== "") {
+        discordClientProvider.get().fetchUser(discordGuild.ownerID).then((owner) => {
+            return owner.send(botSettings.welcomeMessage + "\nManage the bot on **" + discordGuild.name + "** from the dashboard: " + webServer.getDashboardURL());
+        }).catch((err) => {
+            // The owner may not accept private messages
+            Logger.warn("Could not send the welcome message to the owner of guild **" + discordGuild.name + "**", err.message);
+        });
+    }
+
+    module.exports.triggerEvent("guild-joined", discordGuild.id);
+};
+
+/**
+ * Should be called when the bot leaves a guild, or is kicked from it
+ * Deletes the Discotron guild and its settings, then triggers "guild-left"
+ * @param {DiscordJS.Guild} discordGuild Left guild
+ */
+module.exports.onLeaveGuild = (discordGuild) => {
+    Logger.info("Left guild **" + discordGuild.name + "** (" + discordGuild.id + ")");
+
+    if (Guild.get(discordGuild.id) !== undefined) {
+        deleteGuild(discordGuild.id);
+    }
+};
+
+/**
+ * Deletes the Discotron guild and its settings, then triggers "guild-left" if it succeeded
+ * @param {string} discordGuildId Discord id of the left guild
+ */
+function deleteGuild(discordGuildId) {
+    Guild.get(discordGuildId).delete().then(() => {
+        module.exports.triggerEvent("guild-left", discordGuildId);
+    }).catch((err) => {
+        Logger.err("Could not delete guild " + discordGuildId, err);
+    });
+}
+
 // TODO
-module.exports.onReaction = (reaction) => {};
-module.exports.onJoinGuild = (guild) => {};
-module.exports.onLeaveGuild = (guild) => {};
 module.exports.getBotInfo = () => {};
 
 /**
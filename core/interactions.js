@@ -0,0 +1,252 @@
+/**
+ * Handle the interactions Discord sends over HTTP (slash commands and buttons) and register the application commands
+ */
+const crypto = require("crypto");
+const request = require("request");
+
+const Plugin = require("./models/plugin.js");
+const Command = require("./models/command.js");
+const InteractionMessage = require("./models/interaction-message.js");
+const Logger = require("./utils/logger.js");
+
+const appConfig = require(global.discotronConfigPath + "/bot.json");
+
+const discordApiUrl = "https://discord.com/api/v10/";
+
+// DER header of an Ed25519 public key, Discord gives the raw 32 bytes of the key
+const ed25519KeyPrefix = Buffer.from("302a300506032b6570032100", "hex");
+
+const interactionTypes = {
+    ping: 1,
+    applicationCommand: 2,
+    messageComponent: 3
+};
+
+// Discord stops waiting for the response after 3 seconds, slower commands answer later
+const maxResponseDelay = 2500;
+
+// Separates the plugin id, the command key and the args in the custom id of buttons
+const customIdSeparator = "|";
+const maxCustomIdLength = 100;
+
+// Seconds between the signature timestamp and now after which a request is refused, so a captured request cannot be replayed later
+const maxTimestampAge = 5 * 60;
+
+/**
+ * Check that a request was signed by Discord
+ * @param {Buffer} rawBody Body of the request, as received
+ * @param {string} signature Content of the X-Signature-Ed25519 header
+ * @param {string} timestamp Content of the X-Signature-Timestamp header
+ * @param {string} [publicKey=appConfig.publicKey] Public key of the application, as displayed on its Discord page
+ * @returns {boolean} True if the signature is valid and the timestamp is at most maxTimestampAge seconds away from now
+ */
+module.exports.verifySignature = (rawBody, signature, timestamp, publicKey = appConfig.publicKey) => {
+    if (rawBody === undefined || typeof signature !== "string" || typeof timestamp !== "string" || typeof publicKey !== "string" || publicKey === "") {
+        return false;
+    }
+
+    const age = Date.now() / 1000 - Number(timestamp);
+    if (!/^\d+$/.test(timestamp) || Math.abs(age) > maxTimestampAge) {
+        return false;
+    }
+
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.concat([ed25519KeyPrefix, Buffer.from(publicKey, "hex")]),
+            format: "der",
+            type: "spki"
+        });
+        return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), key, Buffer.from(signature, "hex"));
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Called when Discord posts an interaction, the raw body must be kept in req.rawBody to check the signature
+ * @param {object} req Express request
+ * @param {object} res Express response
+ */
+module.exports.onPost = (req, res) => {
+    if (!module.exports.verifySignature(req.rawBody, req.get("X-Signature-Ed25519"), req.get("X-Signature-Timestamp"))) {
+        res.status(401).send("Invalid request signature");
+        return;
+    }
+
+    module.exports.handleInteraction(req.body).then((response) => {
+        res.json(response);
+    }).catch((err) => {
+        Logger.err(err);
+        res.status(500).end();
+    });
+};
+
+/**
+ * Run the command designated by an interaction
+ * @param {object} interaction Interaction object received from Discord
+ * @returns {Promise} resolve(response {object}) response to send to Discord, before the command is done if it is too slow, reject(error {Error}) if the interaction is not supported
+ */
+module.exports.handleInteraction = (interaction) => {
+    if (interaction.type === interactionTypes.ping) {
+        return Promise.resolve({
+            type: 1
+        });
+    }
+    if (interaction.type !== interactionTypes.applicationCommand && interaction.type !== interactionTypes.messageComponent) {
+        return Promise.reject(new Error("Unsupported interaction type " + interaction.type));
+    }
+
+    return new Promise((resolve) => {
+        const found = module.exports.findCommand(interaction);
+        const message = new InteractionMessage(interaction, found !== undefined ? found.content : "", resolve);
+        const timer = setTimeout(() => {
+            message.defer();
+        }, maxResponseDelay);
+
+        global.discotron.onInteraction(message, found).catch(Logger.err).finally(() => {
+            clearTimeout(timer);
+            message.end();
+        });
+    });
+};
+
+/**
+ * @param {object} [plugins=Plugin.getAll()] {plugin id => plugin} plugins whose commands are used
+ * @returns {Map} {name => {plugin, command}} commands that can be used as application commands, by name of application command
+ */
+function getApplicationCommandMap(plugins = Plugin.getAll()) {
+    const commands = new Map();
+    for (const pluginId in plugins) {
+        const plugin = plugins[pluginId];
+        for (let i = 0; i < plugin.commands.command.length; i++) {
+            const command = plugin.commands.command[i];
+            const name = Command.toApplicationCommandName(plugin.prefix + command.trigger);
+            if (commands.has(name)) {
+                Logger.warn("Command **" + command.trigger + "** of plugin **" + pluginId + "** has the same application command name as one of plugin **" + commands.get(name).plugin.id + "**, it cannot be used as a slash command.");
+            } else {
+                commands.set(name, {
+                    plugin: plugin,
+                    command: command
+                });
+            }
+        }
+    }
+    return commands;
+}
+
+/**
+ * @param {object} [plugins=Plugin.getAll()] {plugin id => plugin} plugins whose commands are used
+ * @returns {Array} Definitions of the application commands (slash commands) of the plugins, as expected by Discord
+ */
+module.exports.getApplicationCommands = (plugins = Plugin.getAll()) => {
+    const definitions = [];
+    getApplicationCommandMap(plugins).forEach((entry, name) => {
+        definitions.push(entry.command.toApplicationCommand(name));
+    });
+    return definitions;
+};
+
+/**
+ * Find the command designated by an interaction
+ * @param {object} interaction Interaction object received from Discord
+ * @returns {object|undefined} {plugin, command, options, prefix, content} options are the values typed in an application command, undefined for buttons
+ */
+module.exports.findCommand = (interaction) => {
+    if (interaction.type === interactionTypes.messageComponent) {
+        return findButtonCommand(interaction.data.custom_id);
+    }
+
+    const entry = getApplicationCommandMap().get(interaction.data.name);
+    if (entry === undefined) {
+        return undefined;
+    }
+
+    const resolved = entry.command.resolveApplicationSubcommand(interaction.data.options);
+    const prefix = "/" + Command.toApplicationCommandName(entry.plugin.prefix);
+    const values = resolved.options.map((option) => option.value);
+    return {
+        plugin: entry.plugin,
+        command: resolved.command,
+        options: resolved.options,
+        prefix: prefix,
+        content: [prefix + resolved.command.path].concat(values).join(" ")
+    };
+};
+
+/**
+ * @param {string} customId Custom id of the button, see getButtonId
+ * @returns {object|undefined} {plugin, command, prefix, content} content contains the path of the command and its args
+ */
+function findButtonCommand(customId) {
+    const parts = customId.split(customIdSeparator);
+    const plugin = Plugin.getAll()[parts[0]];
+    if (parts.length < 2 || plugin === undefined) {
+        return undefined;
+    }
+
+    const path = parts[1].split(" ");
+    let command = plugin.commands.command.find((command) => command.trigger === path[0]);
+    for (let i = 1; i < path.length && command !== undefined; i++) {
+        command = command.subcommands.find((subcommand) => subcommand.trigger === path[i]);
+    }
+    if (command === undefined) {
+        return undefined;
+    }
+
+    const args = parts.slice(2).join(customIdSeparator);
+    return {
+        plugin: plugin,
+        command: command,
+        options: undefined,
+        prefix: "",
+        content: command.trigger + (args !== "" ? " " + args : "")
+    };
+}
+
+/**
+ * Build the custom id of a button triggering a command when it is clicked
+ * @param {object} command Command of type "command", or subcommand
+ * @param {string} [args=""] Args of the command, as they would be typed after it in a message
+ * @returns {string} Custom id of the button
+ * @throws {Error} If the command is not of type "command", or if the custom id is longer than the 100 characters allowed by Discord
+ */
+module.exports.getButtonId = (command, args = "") => {
+    if (command.triggerType !== "command") {
+        throw new Error("Only commands of type command can be triggered by a button, **" + command.key + "** cannot.");
+    }
+
+    const customId = [command.pluginId, command.key, args].join(customIdSeparator);
+    if (customId.length > maxCustomIdLength) {
+        throw new Error("The custom id of a button cannot be longer than " + maxCustomIdLength + " characters, **" + customId + "** is " + customId.length + " characters long.");
+    }
+    return customId;
+};
+
+/**
+ * Replace the application commands registered on Discord by the ones of the loaded plugins
+ * @returns {Promise} resolve(count {number}) number of application commands registered, reject(error {Error})
+ */
+module.exports.syncApplicationCommands = () => {
+    const definitions = module.exports.getApplicationCommands();
+
+    return new Promise((resolve, reject) => {
+        Logger.debug("Query made to Discord API (applications/commands)");
+        request({
+            method: "PUT",
+            url: discordApiUrl + "applications/" + appConfig.applicationId + "/commands",
+            headers: {
+                "Authorization": "Bot " + appConfig.token
+            },
+            json: definitions
+        }, (err, response, answer) => {
+            if (err !== null) {
+                reject(err);
+            } else if (response.statusCode >= 400) {
+                reject(new Error("Discord answered " + response.statusCode + ": " + JSON.stringify(answer)));
+            } else {
+                Logger.info("Registered **" + definitions.length + "** application commands");
+                resolve(definitions.length);
+            }
+        });
+    });
+};
@@ -13,7 +13,7 @@ class BotSettings extends BotSettingsModel {
     constructor() {
         super();
 
-        // Each row in the database contains a key->setting so we have to make 3 queries
+        // Each row in the database contains a key->setting so we have to make 4 queries
         // Everything could also be queried only once but then we have to iterate on everything to check the key
         // Both are bad, key settings should not be saved in the database like that
         Promise.all([
@@ -26,10 +26,14 @@ class BotSettings extends BotSettingsModel {
             db.select("BotSettings", ["value"], {
                 name: "presenceText"
             }),
+            db.select("BotSettings", ["value"], {
+                name: "welcomeMessage"
+            }),
         ]).then((results) => {
             this._helpText = results[0][0].value;
             this._maintenance = results[1][0].value === "true";
             this._presenceText = results[2][0].value;
+            this._welcomeMessage = results[3][0].value;
         }).catch(Logger.err);
     }
 
@@ -105,6 +109,27 @@ class BotSettings extends BotSettingsModel {
     get maintenance() {
         return super.maintenance;
     }
+
+    /**
+     * Set the message sent to the owner of a guild when the bot joins it and save it to the database
+     * @param {string} welcomeMessage Text of the message, empty to send nothing
+     */
+    set welcomeMessage(welcomeMessage) {
+        this._welcomeMessage = welcomeMessage;
+
+        db.update("BotSettings", {
+            value: welcomeMessage
+        }, {
+            name: "welcomeMessage"
+        }).catch(Logger.err);
+    }
+
+    /**
+     * @returns {string} Welcome message
+     */
+    get welcomeMessage() {
+        return super.welcomeMessage;
+    }
 }
 
 module.exports = BotSettings;
\ No newline at end of file
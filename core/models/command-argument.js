@@ -0,0 +1,300 @@
+const { CommandArgumentModel } = require("./../../shared-models/command.js");
+const Logger = require("../utils/logger.js");
+const utils = require("../utils/utils.js");
+const discordClientProvider = require("../utils/discord-client-provider.js");
+
+/**
+ * Error thrown when a value given by a user does not match the argument definition
+ */
+class ArgumentError extends Error {
+    /**
+     * @class
+     * @param {string} message Error message, displayed to the user
+     */
+    constructor(message) {
+        super(message);
+        this.name = "ArgumentError";
+    }
+}
+
+// Types of the options of Discord application commands
+const applicationOptionTypes = {
+    "string": 3,
+    "integer": 4,
+    "boolean": 5,
+    "user": 6,
+    "channel": 7,
+    "role": 8,
+    "number": 10,
+    "enum": 3,
+    "duration": 3
+};
+
+// Discord rejects options with more choices
+const maxApplicationChoices = 25;
+
+const booleanValues = {
+    "true": true,
+    "yes": true,
+    "y": true,
+    "on": true,
+    "1": true,
+    "false": false,
+    "no": false,
+    "n": false,
+    "off": false,
+    "0": false
+};
+
+/**
+ * Argument of a command, server side. Converts the text typed by users into typed values
+ */
+class CommandArgument extends CommandArgumentModel {
+    /**
+     * @class
+     * @param {object} settings See CommandArgumentModel
+     * @throws {Error} If an argument of type "enum" has no choices
+     */
+    constructor(settings) {
+        super(settings);
+
+        if (CommandArgument._parsers[this.type] === undefined) {
+            Logger.warn("Unknown type **" + this.type + "** for argument **" + this.name + "**, using **string** instead.");
+            this._type = "string";
+        }
+        if (this.type === "enum" && (!Array.isArray(this.choices) || this.choices.length === 0)) {
+            throw new Error("Argument **" + this.name + "** of type enum needs a non-empty array of choices");
+        }
+    }
+
+    /**
+     * @returns {object} Object containing {name, help, type, required, defaultValue, min, max, choices, allowsSpace}
+     */
+    toObject() {
+        return {
+            name: this.name,
+            help: this.help,
+            type: this.type,
+            required: this.required,
+            defaultValue: this.defaultValue,
+            min: this.min,
+            max: this.max,
+            choices: this.choices,
+            allowsSpace: this.allowsSpace
+        };
+    }
+
+    /**
+     * @returns {object} Option of a Discord application command built from this argument, values typed by the user are still checked by parse()
+     */
+    toApplicationCommandOption() {
+        const option = {
+            type: applicationOptionTypes[this.type],
+            name: this.name.toLowerCase(),
+            description: (this.help !== "" ? this.help : this.name).substr(0, 100),
+            required: this.required
+        };
+
+        if (this.type === "enum" && this.choices.length <= maxApplicationChoices) {
+            option.choices = this.choices.map((choice) => {
+                return {
+                    name: choice,
+                    value: choice
+                };
+            });
+        }
+        if (this.type === "integer" || this.type === "number") {
+            if (this.min !== undefined) {
+                option.min_value = this.min;
+            }
+            if (this.max !== undefined) {
+                option.max_value = this.max;
+            }
+        }
+
+        return option;
+    }
+
+    /**
+     * @returns {string} Argument as displayed in a usage line, e.g. "<turns>" or "[turns]"
+     */
+    getUsage() {
+        const name = this.type === "enum" ? this.choices.join("|") : this.name;
+        return this.required ? "<" + name + ">" : "[" + name + "]";
+    }
+
+    /**
+     * @returns {string} Argument used as a named option, as displayed in a usage line, e.g. "[--silent]" or "<--turns=turns>"
+     */
+    getOptionUsage() {
+        let usage = "--" + this.name;
+        if (this.type !== "boolean") {
+            usage += "=" + (this.type === "enum" ? this.choices.join("|") : this.type);
+        }
+        return this.required ? "<" + usage + ">" : "[" + usage + "]";
+    }
+
+    /**
+     * Convert the text given by the user to the type of this argument
+     * @param {string} [text] Text typed by the user, undefined if it was not given
+     * @param {DiscordJS.Message} discordMessage Message containing the argument, used to resolve mentions
+     * @returns {*} Converted value, or defaultValue if no text was given
+     * @throws {ArgumentError} If the text is not valid for this argument
+     */
+    parse(text, discordMessage) {
+        if (text === undefined || text === "") {
+            if (this.required) {
+                throw new ArgumentError("Missing argument **" + this.name + "**.");
+            }
+            return this.defaultValue;
+        }
+
+        const value = CommandArgument._parsers[this.type](text, this, discordMessage);
+        this._checkRange(value);
+        return value;
+    }
+
+    /**
+     * Convert the value of a named option given by the user to the type of this argument
+     * @param {string} [text] Text after "=", undefined if the option was given as a flag or not given at all
+     * @param {DiscordJS.Message} discordMessage Message containing the option, used to resolve mentions
+     * @param {boolean} given True if the user typed the option
+     * @returns {*} Converted value, or defaultValue if the option was not given
+     * @throws {ArgumentError} If the text is not valid for this argument
+     */
+    parseOption(text, discordMessage, given) {
+        if (!given) {
+            if (this.required) {
+                throw new ArgumentError("Missing option **--" + this.name + "**.");
+            }
+            return this.defaultValue;
+        }
+
+        if (text === undefined) {
+            if (this.type === "boolean") {
+                return true;
+            }
+            throw new ArgumentError("Option **--" + this.name + "** needs a value, e.g. --" + this.name + "=value.");
+        }
+
+        return this.parse(text, discordMessage);
+    }
+
+    /**
+     * @param {*} value Converted value
+     * @throws {ArgumentError} If the value is outside of [min, max]
+     */
+    _checkRange(value) {
+        if (!["integer", "number", "duration"].includes(this.type)) {
+            return;
+        }
+
+        const unit = this.type === "duration" ? " seconds" : "";
+        if (this.min !== undefined && value < this.min) {
+            throw new ArgumentError("**" + this.name + "** must be at least " + this.min + unit + ".");
+        }
+        if (this.max !== undefined && value > this.max) {
+            throw new ArgumentError("**" + this.name + "** must be at most " + this.max + unit + ".");
+        }
+    }
+}
+
+/**
+ * Extract an id from a raw id or a Discord mention
+ * @param {string} text Text typed by the user
+ * @param {RegExp} mentionRegex Regex whose first group is the id
+ * @returns {string|undefined} Id, undefined if the text is neither a mention nor an id
+ */
+function extractId(text, mentionRegex) {
+    const match = mentionRegex.exec(text);
+    if (match !== null) {
+        return match[1];
+    }
+    if (/^\d+$/.test(text)) {
+        return text;
+    }
+    return undefined;
+}
+
+// Each parser receives (text, argument, discordMessage) and returns the converted value or throws an ArgumentError
+CommandArgument._parsers = {
+    "string": (text) => {
+        return text;
+    },
+    "integer": (text, argument) => {
+        if (!/^[+-]?\d+$/.test(text)) {
+            throw new ArgumentError("**" + argument.name + "** must be an integer.");
+        }
+        return parseInt(text, 10);
+    },
+    "number": (text, argument) => {
+        const value = Number(text);
+        if (!isFinite(value)) {
+            throw new ArgumentError("**" + argument.name + "** must be a number.");
+        }
+        return value;
+    },
+    "boolean": (text, argument) => {
+        const value = booleanValues[text.toLowerCase()];
+        if (value === undefined) {
+            throw new ArgumentError("**" + argument.name + "** must be yes or no.");
+        }
+        return value;
+    },
+    "user": (text, argument, discordMessage) => {
+        const discordUserId = extractId(text, /^<@!?(\d+)>$/);
+        const user = discordUserId === undefined ? undefined :
+            (discordMessage.mentions.users.get(discordUserId) || discordClientProvider.get().users.get(discordUserId));
+
+        if (user === undefined) {
+            throw new ArgumentError("**" + argument.name + "** must be a user mention.");
+        }
+        return user;
+    },
+    "channel": (text, argument, discordMessage) => {
+        const discordChannelId = extractId(text, /^<#(\d+)>$/);
+        let channel;
+        if (discordChannelId !== undefined) {
+            const channels = discordMessage.guild !== null ? discordMessage.guild.channels : discordClientProvider.get().channels;
+            channel = channels.get(discordChannelId);
+        }
+
+        if (channel === undefined) {
+            throw new ArgumentError("**" + argument.name + "** must be a channel mention.");
+        }
+        return channel;
+    },
+    "role": (text, argument, discordMessage) => {
+        const discordRoleId = extractId(text, /^<@&(\d+)>$/);
+        let role;
+        if (discordRoleId !== undefined && discordMessage.guild !== null) {
+            role = discordMessage.guild.roles.get(discordRoleId);
+        }
+
+        if (role === undefined) {
+            throw new ArgumentError("**" + argument.name + "** must be a role mention.");
+        }
+        return role;
+    },
+    "enum": (text, argument) => {
+        const loweredCaseText = text.toLowerCase();
+        const choice = argument.choices.find((choice) => {
+            return choice.toLowerCase() === loweredCaseText;
+        });
+
+        if (choice === undefined) {
+            throw new ArgumentError("**" + argument.name + "** must be one of: " + argument.choices.join(", ") + ".");
+        }
+        return choice;
+    },
+    "duration": (text, argument) => {
+        const seconds = utils.parseDuration(text);
+        if (isNaN(seconds)) {
+            throw new ArgumentError("**" + argument.name + "** must be a duration, e.g. 90s, 5m or 1h30m.");
+        }
+        return seconds;
+    }
+};
+
+module.exports = CommandArgument;
+module.exports.ArgumentError = ArgumentError;
@@ -0,0 +1,214 @@
+const { RichEmbed } = require("discord.js");
+const Owner = require("./owner.js");
+const PluginStorage = require("./plugin-storage.js");
+const Paginator = require("./paginator.js");
+const Conversation = require("./conversation.js");
+
+// Number of replies remembered so they can be edited when the user edits his message
+const maxTrackedReplies = 500;
+
+/**
+ * Given to command actions as their third parameter
+ * Contains the same fields as the API object of the plugin, so actions written for it keep working
+ */
+class CommandContext {
+    /**
+     * @class
+     * @param {object} options Args
+     * @param {object} options.apiCollection Object containing multiple APIs that can be used by the plugin, see Plugin.getApiObject
+     * @param {DiscordJS.Message} options.message Message that triggered the command
+     * @param {object} options.command Command being executed, the subcommand if one was used
+     * @param {string} [options.prefix=""] Server and plugin prefix combined
+     * @param {object} [options.guild] Discotron guild in which the message was sent, undefined in private messages
+     * @param {object} [options.propagation={stopped: false}] Shared by the handlers of the message
+     * @param {DiscordJS.User} [options.user=message.author] User who used the command, differs from the author of the message for reactions
+     */
+    constructor({apiCollection, message, command, prefix = "", guild = undefined, propagation = {stopped: false}, user = message.author}) {
+        Object.assign(this, apiCollection);
+
+        this.message = message;
+        this.user = user;
+        this.command = command;
+        this.prefix = prefix;
+        this.guild = guild;
+        this._hasReplied = false;
+        this._propagation = propagation;
+
+        if (this.plugin !== undefined) {
+            this.storage = new PluginStorage(this.plugin.id, guild !== undefined ? guild.discordId : "");
+            this.globalStorage = new PluginStorage(this.plugin.id);
+            this.userStorage = this.globalStorage.user(user.id);
+        }
+    }
+
+    /**
+     * Send a message in the channel where the command was used
+     * @param {string} content Text of the message
+     * @param {object} [options] Options given to DiscordJS
+     * @returns {Promise} resolve(message {DiscordJS.Message}), reject()
+     */
+    reply(content, options) {
+        return this._sendReply(content, options);
+    }
+
+    /**
+     * Send an embed in the channel where the command was used
+     * @param {RichEmbed|object} embed Embed, or data to build one : e.g. {title: "Scores", description: "..."}
+     * @returns {Promise} resolve(message {DiscordJS.Message}), reject()
+     */
+    replyEmbed(embed) {
+        return this._sendReply(embed instanceof RichEmbed ? embed : new RichEmbed(embed));
+    }
+
+    /**
+     * Send pages in the channel where the command was used, the user who used the command changes page with reactions, see Paginator
+     * @param {Array} pages Text, embeds or data to build embeds from : e.g. [{title: "Scores", description: "..."}]
+     * @param {object} [options={}] Args
+     * @param {number} [options.startPage=0] Index of the page displayed first
+     * @param {number} [options.timeout] Seconds without input after which the pages cannot be changed anymore
+     * @returns {Promise} resolve(paginator {Paginator}), reject()
+     */
+    paginate(pages, {startPage = 0, timeout = undefined} = {}) {
+        const paginator = new Paginator({
+            pages: pages,
+            discordUserId: this.user.id,
+            startPage: startPage,
+            timeout: timeout
+        });
+        return this._sendReply(paginator.currentPage).then((reply) => {
+            return paginator.attach(reply);
+        });
+    }
+
+    /**
+     * Wait for the next message of the user who used the command, in the channel where it was used, see Conversation
+     * @param {object} [options={}] Args
+     * @param {number} [options.timeout] Seconds after which the question is abandoned
+     * @param {Function} [options.validator] Receives the message, returns false if it is not an answer
+     * @returns {Promise} resolve(message {DiscordJS.Message|null}) null if the user did not answer in time, never rejects
+     */
+    awaitReply({timeout = undefined, validator = undefined} = {}) {
+        return Conversation.awaitReply({
+            discordUserId: this.user.id,
+            discordChannelId: this.message.channel.id,
+            timeout: timeout,
+            validator: validator
+        });
+    }
+
+    /**
+     * Wait for the user who used the command to react to a message, see Conversation
+     * @param {DiscordJS.Message} message Message to react to, usually a reply of the bot
+     * @param {object} [options={}] Args
+     * @param {number} [options.timeout] Seconds after which the question is abandoned
+     * @param {Function} [options.validator] Receives the reaction, returns false if it is not an answer
+     * @returns {Promise} resolve(reaction {DiscordJS.MessageReaction|null}) null if the user did not react in time, never rejects
+     */
+    awaitReaction(message, {timeout = undefined, validator = undefined} = {}) {
+        return Conversation.awaitReaction({
+            discordUserId: this.user.id,
+            discordMessageId: message.id,
+            timeout: timeout,
+            validator: validator
+        });
+    }
+
+    /**
+     * Send the reply, or edit the first reply sent for this message if the command is run again after an edit
+     * @param {string|RichEmbed} content Text or embed of the message
+     * @param {object} [options] Options given to DiscordJS
+     * @returns {Promise} resolve(message {DiscordJS.Message}), reject()
+     */
+    _sendReply(content, options) {
+        // The root command identifies the reply, the user may have fixed the name of a subcommand
+        let rootCommand = this.command;
+        while (rootCommand.parent !== undefined) {
+            rootCommand = rootCommand.parent;
+        }
+        const replyId = this.message.id + "/" + rootCommand.pluginId + "/" + rootCommand.key;
+        const isFirstReply = !this._hasReplied;
+        this._hasReplied = true;
+
+        const previousReply = CommandContext._replies.get(replyId);
+        if (isFirstReply && previousReply !== undefined && !previousReply.deleted) {
+            return previousReply.edit(content, options);
+        }
+
+        return this.message.channel.send(content, options).then((reply) => {
+            if (isFirstReply) {
+                CommandContext._trackReply(replyId, reply);
+            }
+            return reply;
+        });
+    }
+
+    /**
+     * Remember the first reply to a message, forget the oldest one if too many are remembered
+     * @static
+     * @param {string} replyId Identifies the message and the command that replied to it
+     * @param {DiscordJS.Message} reply Reply of the bot
+     */
+    static _trackReply(replyId, reply) {
+        CommandContext._replies.set(replyId, reply);
+        if (CommandContext._replies.size > maxTrackedReplies) {
+            CommandContext._replies.delete(CommandContext._replies.keys().next().value);
+        }
+    }
+
+    /**
+     * Send a private message to the user who used the command
+     * @param {string} content Text of the message
+     * @param {object} [options] Options given to DiscordJS
+     * @returns {Promise} resolve(message {DiscordJS.Message}), reject()
+     */
+    dm(content, options) {
+        return this.user.send(content, options);
+    }
+
+    /**
+     * React to the message that triggered the command
+     * @param {string} emoji Unicode emoji or custom emoji id
+     * @returns {Promise} resolve(reaction {DiscordJS.MessageReaction}), reject()
+     */
+    react(emoji) {
+        return this.message.react(emoji);
+    }
+
+    /**
+     * Mark the message as handled, handlers of type "words" and "all" with a lower priority will not be called
+     */
+    stopPropagation() {
+        this._propagation.stopped = true;
+    }
+
+    /**
+     * @returns {boolean} True if the user who used the command is a bot owner
+     */
+    isOwner() {
+        return Owner.isOwner(this.user.id);
+    }
+
+    /**
+     * @returns {boolean} True if the user who used the command is a bot admin of the guild, false in private messages
+     */
+    isAdmin() {
+        return this.guild !== undefined && this.guild.isAdmin(this.user.id);
+    }
+
+    /**
+     * @param {string} [pluginId] Id of another plugin, the command used is checked if not set
+     * @returns {boolean} True if the user who used the command is allowed to use the command, or the plugin, in the guild, always true in private messages
+     */
+    hasPermission(pluginId = undefined) {
+        if (this.guild === undefined) {
+            return true;
+        }
+        if (pluginId === undefined) {
+            return this.guild.allowsCommand(this.command, this.user.id);
+        }
+        return this.guild.allowsPlugin(pluginId, this.user.id);
+    }
+}
+
+CommandContext._replies = new Map();
+module.exports = CommandContext;
@@ -1,7 +1,16 @@
 const CommandModel = require("./../../shared-models/command.js");
+const CommandArgument = require("./command-argument.js");
+const Cooldown = require("./cooldown.js");
+const CommandContext = require("./command-context.js");
+const tokenizer = require("../utils/tokenizer.js");
 const Owner = require("./owner.js");
+const Logger = require("../utils/logger.js");
 const discordClientProvider = require("../utils/discord-client-provider.js");
 
+// Types of the options of Discord application commands containing subcommands
+const applicationSubcommandType = 1;
+const applicationSubcommandGroupType = 2;
+
 /**
  * Command that can be executed, server side
  */
@@ -9,33 +18,154 @@ class Command extends CommandModel {
     /**
      * @class
      * @param {object} settings Settings
-     * @param {string} [settings.triggerType = "command"] Type of trigger, can be "command|words|all|reaction" (note: "all" is not affected by spam detection)
-     * @param {string[]} [settings.trigger = []] Word(s) triggering the command
+     * @param {string} [settings.triggerType = "command"] Type of trigger, can be "command|words|regex|all|reaction" (note: "all" is not affected by spam detection)
+     * @param {string[]} [settings.trigger = []] Word(s) triggering the command, pattern of the regular expression for triggerType "regex",
+     *  or emojis for triggerType "reaction" (unicode, custom emoji id, name or mention), any emoji triggers it if empty
+     * @param {string} [settings.flags = ""] Flags of the regular expression for triggerType "regex", e.g. "gi"
+     * @param {string[]} [settings.aliases = []] Other words triggering the command, for triggerType "command" only
      * @param {string} [settings.help = ""] Describe the command
-     * @param {object} [settings.args = []] Arguments of the command : e.g. [{name: "turns", defaultValue: 8, help: "Number of turns"}]
-     * @param {Function} [settings.action = () => {}] Action to trigger when the command is called. Receives args, discordMessage as parameters
+     * @param {object} [settings.args = []] Arguments of the command : e.g. [{name: "turns", type: "integer", min: 1, defaultValue: 8, help: "Number of turns"}]
+     * @param {object} [settings.options = []] Named options of the command, given as --name or --name=value : e.g. [{name: "silent", type: "boolean", defaultValue: false}]
+     * @param {Function} [settings.action = () => {}] Action to trigger when the command is called. Receives (discordMessage, args, context) as parameters, see CommandContext
      * @param {boolean} [settings.ownersOnly = false] True to only allow the owner(s) to use the command
      * @param {boolean} [settings.requiresMention = false] Set to true if the bot must be mentioned for that
      * @param {boolean} [settings.bypassSpamDetection = false] Set to true to not penalize the user for spamming the command.
      * @param {string} [settings.scope = "everywhere"] Scope where the command can be triggered, can be "everywhere|pm|guild"
+     * @param {boolean} [settings.allowEdits = false] Set to true to run the command again when the message is edited, its first reply is then edited instead of sending a new one
+     * @param {object} [settings.cooldown] Limits how often the command can be used : e.g. {scope: "user|channel|guild", duration: 30, charges: 2, message: "Wait {remaining}."}
+     * @param {string} [settings.reactionEvent = "add"] For triggerType "reaction", whether adding or removing the reaction triggers the command, can be "add|remove|both"
+     * @param {string} [settings.messageAuthor = "any"] For triggerType "reaction", who must have sent the message the reaction is on, can be "any|bot|others"
+     * @param {object} [settings.subcommands = []] Settings of the subcommands, for triggerType "command" only : e.g. [{trigger: "add", args: [...], action: () => {}}]
+     * @param {string} pluginId Id of the plugin containing this command
+     * @param {Command} [parent] Command containing this one if it is a subcommand
      */
-    constructor(settings) {
+    constructor(settings, pluginId, parent = undefined) {
         super(settings);
+
+        this._pluginId = pluginId;
+        this._parent = parent;
+        this._aliases = this._aliases.map((alias) => alias.toLowerCase());
+        // Commands only grouping subcommands do not have an action
+        this._hasAction = settings.action !== undefined;
+
+        const { args = [], options = [] } = settings;
+        this._args = args.map((arg) => new CommandArgument(arg));
+        this._options = options.map((option) => new CommandArgument(option));
+        if (this._cooldown !== undefined) {
+            this._cooldown = new Cooldown(this._cooldown);
+        }
+        this._subcommands = this._subcommands.map((subcommand) => {
+            return new Command(Object.assign({}, subcommand, {triggerType: "command"}), pluginId, this);
+        });
+
+        if (this.triggerType === "regex") {
+            this._regex = this._compileRegex();
+        }
     }
 
     /**
-     * @returns {object} Object containing {triggerType, trigger, help, args, ownersOnly, requiresMention, bypassSpamDetection, scope}
+     * @returns {RegExp|null} Regular expression built from the trigger and flags, null if they are invalid
+     */
+    _compileRegex() {
+        // Plugins may give a RegExp directly instead of a pattern
+        if (this.trigger instanceof RegExp) {
+            this._flags = this.flags === "" ? this.trigger.flags : this.flags;
+            this._trigger = this.trigger.source;
+        }
+
+        try {
+            return new RegExp(this.trigger, this.flags);
+        } catch (err) {
+            Logger.warn("Invalid regex **" + this.trigger + "** in plugin **" + this.pluginId + "**, the command will never be triggered.");
+            return null;
+        }
+    }
+
+    /**
+     * @returns {string} Id of the plugin containing this command
+     */
+    get pluginId() {
+        return this._pluginId;
+    }
+
+    /**
+     * @returns {Command|undefined} Command containing this one, undefined if it is not a subcommand
+     */
+    get parent() {
+        return this._parent;
+    }
+
+    /**
+     * @returns {string} Triggers from the root command to this one, e.g. "playlist add"
+     */
+    get path() {
+        if (this.parent !== undefined) {
+            return this.parent.path + " " + this.trigger;
+        }
+        return this.trigger;
+    }
+
+    /**
+     * @returns {string} Identifies the command inside its plugin, e.g. "roll" or "playlist add" for a command, "words:hello,world" otherwise
+     */
+    get key() {
+        if (this.triggerType === "command") {
+            return this.path;
+        }
+        return this.triggerType + ":" + [].concat(this.trigger).join(",");
+    }
+
+    /**
+     * @param {object} [guild] Discotron guild in which the command is used, to include its custom aliases
+     * @returns {string[]} Trigger and aliases of a command with triggerType "command"
+     */
+    getTriggers(guild) {
+        const triggers = [this.trigger].concat(this.aliases);
+        if (guild !== undefined) {
+            return triggers.concat(guild.getCommandAliases(this.pluginId, this.key));
+        }
+        return triggers;
+    }
+
+    /**
+     * @param {object} [guild] Discotron guild in which the command is used, to apply the values set by its admins
+     * @returns {Cooldown|undefined} Cooldown of the command, undefined if it can be used without limit
+     */
+    getCooldown(guild) {
+        const override = guild !== undefined ? guild.getCommandCooldown(this.pluginId, this.key) : undefined;
+        if (override === undefined) {
+            return this.cooldown;
+        }
+
+        const cooldown = new Cooldown(Object.assign(this.cooldown !== undefined ? this.cooldown.toObject() : {}, override));
+        // Admins disable the cooldown by setting its duration to 0
+        return cooldown.duration > 0 ? cooldown : undefined;
+    }
+
+    /**
+     * @returns {object} Object containing {key, triggerType, trigger, flags, aliases, help, args, options, ownersOnly, defaultPermission, requiresMention, bypassSpamDetection, allowEdits, scope, cooldown, priority, reactionEvent, messageAuthor, subcommands}
      */
     toObject() {
         return {
+            key: this.key,
             triggerType: this.triggerType,
             trigger: this.trigger,
+            flags: this.flags,
+            aliases: this.aliases,
             help: this.help,
-            args: this.args,
+            args: this.args.map((arg) => arg.toObject()),
+            options: this.options.map((option) => option.toObject()),
             ownersOnly: this.ownersOnly,
+            defaultPermission: this.defaultPermission,
             requiresMention: this.requiresMention,
             bypassSpamDetection: this.bypassSpamDetection,
-            scope: this.scope
+            allowEdits: this.allowEdits,
+            scope: this.scope,
+            cooldown: this.cooldown !== undefined ? this.cooldown.toObject() : undefined,
+            priority: this.priority,
+            reactionEvent: this.reactionEvent,
+            messageAuthor: this.messageAuthor,
+            subcommands: this.subcommands.map((subcommand) => subcommand.toObject())
         };
     }
 
@@ -43,10 +173,11 @@ class Command extends CommandModel {
      * @param {DiscordJS.DiscordMessage} discordMessage DiscordJS message
      * @param {string} loweredCaseMessage Message converted to lower case, passed as an arg to avoid calling toLowercase too many times
      * @param {string} prefixes Server and plugin prefix combined
+     * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
      * @returns {boolean} True if the command is triggered by the discordMessage
      */
-    triggeredBy(discordMessage, loweredCaseMessage, prefixes) {
-        if (this.ownersOnly && !Owner.isOwner(discordMessage.author.id)) {
+    triggeredBy(discordMessage, loweredCaseMessage, prefixes, guild) {
+        if (!this.isAllowedFor(discordMessage.author.id, guild)) {
             return false;
         }
 
@@ -56,78 +187,571 @@ class Command extends CommandModel {
 
         switch (this._triggerType) {
             case "command": {
-                const command = prefixes + this.trigger;
-                return (loweredCaseMessage.startsWith(command + " ") || loweredCaseMessage === command);
+                const trigger = this._getMatchedTrigger(loweredCaseMessage, prefixes, guild);
+                if (trigger === undefined) {
+                    return false;
+                }
+                if (this.subcommands.length === 0) {
+                    return true;
+                }
+
+                const subcommand = this._resolveSubcommand(tokenizer.tokenize(loweredCaseMessage), (prefixes + trigger).length, guild).command;
+                return subcommand.isAllowedFor(discordMessage.author.id, guild);
             }
             case "words":
                 return this.trigger.every((t) => {
                     return loweredCaseMessage.includes(t);
                 });
 
+            case "regex":
+                if (this._regex === null) {
+                    return false;
+                }
+                // Global and sticky regexes keep the position of the last match
+                this._regex.lastIndex = 0;
+                return this._regex.test(discordMessage.content);
+
             default: // "all"
                 return true;
         }
     }
 
+    /**
+     * @param {string} discordUserId Discord user id
+     * @param {object} [guild] Discotron guild in which the command would be used, undefined in private messages
+     * @returns {boolean} True if the command is not reserved to the owners or the user is one, and the permissions of the guild allow the user to use it
+     */
+    isAllowedFor(discordUserId, guild) {
+        if (this.ownersOnly && !Owner.isOwner(discordUserId)) {
+            return false;
+        }
+        return guild === undefined || guild.allowsCommand(this, discordUserId);
+    }
+
+    /**
+     * @param {string} loweredCaseMessage Message converted to lower case
+     * @param {string} prefixes Server and plugin prefix combined
+     * @param {object} [guild] Discotron guild in which the message was sent
+     * @returns {string|undefined} The trigger or alias the message starts with, undefined if none
+     */
+    _getMatchedTrigger(loweredCaseMessage, prefixes, guild) {
+        return this.getTriggers(guild).find((trigger) => {
+            const command = prefixes + trigger;
+            return loweredCaseMessage.startsWith(command) &&
+                (loweredCaseMessage.length === command.length || /\s/.test(loweredCaseMessage[command.length]));
+        });
+    }
+
+    /**
+     * Find the deepest subcommand designated by the tokens following the trigger
+     * @param {Array} tokens Tokens of the message
+     * @param {number} argsStart Position in the message where the text following the trigger starts
+     * @param {object} [guild] Discotron guild in which the message was sent, to include its custom aliases
+     * @returns {object} {command, argsStart} where command is this command if no subcommand matches and argsStart is where its args start
+     */
+    _resolveSubcommand(tokens, argsStart, guild) {
+        const token = tokens.find((token) => token.start >= argsStart);
+        if (token !== undefined) {
+            const word = token.value.toLowerCase();
+            for (let i = 0; i < this.subcommands.length; ++i) {
+                const subcommand = this.subcommands[i];
+                if (subcommand.getTriggers(guild).includes(word)) {
+                    return subcommand._resolveSubcommand(tokens, token.end, guild);
+                }
+            }
+        }
+
+        return {
+            command: this,
+            argsStart: argsStart
+        };
+    }
+
+    /**
+     * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
+     * @returns {boolean} True if the scope of the command allows it to be used there
+     */
+    isInScope(guild) {
+        return this.scope === "everywhere" || (this.scope === "pm" && guild === undefined) || (this.scope === "guild" && guild !== undefined);
+    }
+
     /**
      * @param {DiscordJS.MessageReaction} messageReaction DiscordJS message reaction
+     * @param {DiscordJS.User} user User who added or removed the reaction
+     * @param {string} event "add" or "remove"
+     * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
      * @returns {boolean} True if the reaction triggers the command
      */
-    triggeredByReaction(messageReaction) {
-        // TODO
-        return undefined;
+    triggeredByReaction(messageReaction, user, event, guild) {
+        if (this.triggerType !== "reaction" || !this.isAllowedFor(user.id, guild)) {
+            return false;
+        }
+        if (this.reactionEvent !== "both" && this.reactionEvent !== event) {
+            return false;
+        }
+
+        const isBotMessage = messageReaction.message.author.id === discordClientProvider.get().user.id;
+        if ((this.messageAuthor === "bot" && !isBotMessage) || (this.messageAuthor === "others" && isBotMessage)) {
+            return false;
+        }
+
+        const emojis = [].concat(this.trigger);
+        return emojis.length === 0 || emojis.some((emoji) => Command._matchesEmoji(emoji, messageReaction.emoji));
+    }
+
+    /**
+     * @static
+     * @param {string} trigger Unicode emoji, id or name of a custom emoji, or its mention, e.g. "<:pepe:123456>"
+     * @param {DiscordJS.Emoji|DiscordJS.ReactionEmoji} emoji Emoji of the reaction
+     * @returns {boolean} True if the trigger designates the emoji
+     */
+    static _matchesEmoji(trigger, emoji) {
+        const mention = /^<a?:\w+:(\d+)>$/.exec(trigger);
+        if (mention !== null) {
+            return emoji.id === mention[1];
+        }
+        if (emoji.id !== null && emoji.id === trigger) {
+            return true;
+        }
+        return emoji.name === trigger.replace(/^:(\w+):$/, "$1");
+    }
+
+    /**
+     * @param {string} prefixes Server and plugin prefix combined
+     * @returns {string} Usage line, e.g. "!roll <sides> [turns] [--silent]" or "!playlist <add|remove>" for commands only grouping subcommands
+     */
+    getUsage(prefixes) {
+        const parts = [prefixes + this.path];
+        if (!this._hasAction && this.subcommands.length > 0) {
+            parts.push("<" + this.subcommands.map((subcommand) => subcommand.trigger).join("|") + ">");
+            return parts.join(" ");
+        }
+
+        for (let i = 0; i < this.args.length; ++i) {
+            parts.push(this.args[i].getUsage());
+        }
+        for (let i = 0; i < this.options.length; ++i) {
+            parts.push(this.options[i].getOptionUsage());
+        }
+        return parts.join(" ");
     }
 
     /**
      * Triggers the action of this command, build expected args
      * @param {DiscordJS.Message} message A DiscordJS message
-     * @param {Array} words List of words in the message, passed as an argument to avoid splitting multiple times
+     * @param {Array} tokens Tokens of the message as returned by tokenizer.tokenize, passed as an argument to avoid tokenizing multiple times
      * @param {object} apiCollection Object containing multiple APIs that can be used by the plugin
+     * @param {string} [prefixes=""] Server and plugin prefix combined
+     * @param {object} [guild] Discotron guild in which the message was sent
+     * @param {string} [content=message.content] Text of the command, differs from the message when the bot mention is used as a prefix
+     * @param {object} [propagation={stopped: false}] Shared by the handlers of the message, see CommandContext.stopPropagation
+     * @returns {*} Value returned by the action, a Promise for async actions, undefined if the action was not called
      */
-    doMessageAction(message, words, apiCollection) {
+    doMessageAction(message, tokens, apiCollection, prefixes = "", guild = undefined, content = message.content, propagation = {stopped: false}) {
         switch (this.triggerType) {
             case "command": {
-                const commandArgs = {
-                    "all": words.slice(1)
-                };
-
-                // Build default args
-                for (let i = 0; i < this.args.length; ++i) {
-                    // When an arg has "allowsSpace" set, we eat all other args.
-                    if (this.args[i].allowsSpace) {
-                        commandArgs[this.args[i].name] = words.slice(i + 1).join(" ");
-
-                        if (commandArgs[this.args[i].name] === "") {
-                            commandArgs[this.args[i].name] = this.args[i].defaultValue;
-                        }
-                        break;
-                    } else {
-                        commandArgs[this.args[i].name] = (typeof words[i + 1] !== "undefined") ? words[i + 1] : this.args[i].defaultValue;
+                const trigger = this._getMatchedTrigger(content.toLowerCase(), prefixes, guild) || this.trigger;
+                const resolved = this._resolveSubcommand(tokens, (prefixes + trigger).length, guild);
+                const command = resolved.command;
+
+                if (!command.isInScope(guild) || (command.ownersOnly && !Owner.isOwner(message.author.id))) {
+                    return;
+                }
+
+                if (!command._hasAction && command.subcommands.length > 0) {
+                    command._replyUsage(message, "Missing subcommand.", prefixes);
+                    return;
+                }
+
+                let commandArgs;
+                try {
+                    commandArgs = command._buildArgs(message, tokens, resolved.argsStart, content);
+                } catch (err) {
+                    if (!(err instanceof CommandArgument.ArgumentError)) {
+                        throw err;
                     }
+                    command._replyUsage(message, err.message, prefixes);
+                    return;
                 }
-                this.action(message, commandArgs, apiCollection);
-                break;
+                if (command._isOnCooldown(message, guild)) {
+                    return;
+                }
+                return command.action(message, commandArgs, command._createContext(message, apiCollection, prefixes, guild, propagation));
             }
             case "words":
-                this.action(message, words, apiCollection);
+                if (!this._isOnCooldown(message, guild)) {
+                    return this.action(message, message.content.split(" "), this._createContext(message, apiCollection, prefixes, guild, propagation));
+                }
+                break;
+
+            case "regex":
+                if (!this._isOnCooldown(message, guild)) {
+                    return this.action(message, this._buildRegexArgs(message.content), this._createContext(message, apiCollection, prefixes, guild, propagation));
+                }
                 break;
 
             default:
-                this.action(message, undefined, apiCollection);
+                if (!this._isOnCooldown(message, guild)) {
+                    return this.action(message, undefined, this._createContext(message, apiCollection, prefixes, guild, propagation));
+                }
+                break;
+        }
+    }
+
+    /**
+     * @param {DiscordJS.Message} message Message that triggered the command
+     * @param {object} apiCollection Object containing multiple APIs that can be used by the plugin
+     * @param {string} prefixes Server and plugin prefix combined
+     * @param {object} [guild] Discotron guild in which the message was sent
+     * @param {object} propagation Shared by the handlers of the message
+     * @returns {CommandContext} Context given to the action
+     */
+    _createContext(message, apiCollection, prefixes, guild, propagation) {
+        return new CommandContext({
+            apiCollection: apiCollection,
+            message: message,
+            command: this,
+            prefix: prefixes,
+            guild: guild,
+            propagation: propagation
+        });
+    }
+
+    /**
+     * Consume a charge of the cooldown of the command, tell the user once if none is left
+     * @param {DiscordJS.Message} message Message using the command
+     * @param {object} [guild] Discotron guild in which the message was sent
+     * @returns {boolean} True if the command cannot be used yet
+     */
+    _isOnCooldown(message, guild) {
+        const cooldown = this.getCooldown(guild);
+        if (cooldown === undefined) {
+            return false;
+        }
+
+        const { remaining, notify } = cooldown.use(this.pluginId + "/" + this.key, message);
+        if (remaining > 0) {
+            if (message.interaction !== undefined) {
+                // Only seen by the user, each interaction expects an answer
+                message.channel.send(cooldown.getReply(remaining), {ephemeral: true}).catch(Logger.err);
+            } else if (notify) {
+                // Only the first blocked use is answered, the reply would otherwise be as frequent as the attempts
+                message.channel.send(cooldown.getReply(remaining)).catch(Logger.err);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Convert the tokens typed after the trigger into typed args and options
+     * @param {DiscordJS.Message} message A DiscordJS message
+     * @param {Array} tokens Tokens of the message
+     * @param {number} argsStart Position in the message where the args start (after the trigger)
+     * @param {string} [content=message.content] Text of the command the tokens come from
+     * @returns {object} {all: [positional args], argName: value, optionName: value, ...}
+     * @throws {CommandArgument.ArgumentError} If a token does not match its argument definition
+     */
+    _buildArgs(message, tokens, argsStart, content = message.content) {
+        const positionalTokens = [];
+        // Options and "--", left out of the text of "allowsSpace" args
+        const skippedTokens = [];
+        const optionValues = {};
+        let readOptions = this.options.length > 0;
+
+        for (let i = 0; i < tokens.length; ++i) {
+            const token = tokens[i];
+            if (token.start < argsStart) {
+                continue;
+            }
+
+            if (readOptions && !token.quoted && token.value === "--") {
+                // "--" means everything after is positional
+                readOptions = false;
+                skippedTokens.push(token);
+                continue;
+            }
+
+            const option = readOptions ? tokenizer.parseOption(token) : null;
+            if (option === null) {
+                positionalTokens.push(token);
+            } else {
+                if (!this.options.some((o) => o.name === option.name)) {
+                    throw new CommandArgument.ArgumentError("Unknown option **--" + option.name + "**.");
+                }
+                optionValues[option.name] = option.value;
+                skippedTokens.push(token);
+            }
+        }
+
+        const commandArgs = {
+            "all": positionalTokens.map((token) => token.value)
+        };
+
+        for (let i = 0; i < this.args.length; ++i) {
+            const arg = this.args[i];
+            // When an arg has "allowsSpace" set, we eat all other args, options are left out
+            if (arg.allowsSpace) {
+                commandArgs[arg.name] = arg.parse(this._joinTokens(content, positionalTokens.slice(i), skippedTokens), message);
                 break;
+            } else {
+                commandArgs[arg.name] = arg.parse(positionalTokens[i] === undefined ? undefined : positionalTokens[i].value, message);
+            }
+        }
+
+        for (let i = 0; i < this.options.length; ++i) {
+            const option = this.options[i];
+            commandArgs[option.name] = option.parseOption(optionValues[option.name], message, option.name in optionValues);
+        }
+
+        return commandArgs;
+    }
+
+    /**
+     * Build the args given to the action of a "regex" command
+     * @param {string} content Text of the message
+     * @returns {object} {match, all: [numbered groups], groups: {named groups}, index} for the first match,
+     *  and matches: [{match, all, groups, index}] containing every match if the regex has the "g" flag
+     */
+    _buildRegexArgs(content) {
+        const toArgs = (match) => {
+            return {
+                match: match[0],
+                all: match.slice(1),
+                groups: match.groups || {},
+                index: match.index
+            };
+        };
+
+        this._regex.lastIndex = 0;
+        if (this._regex.global) {
+            const matches = Array.from(content.matchAll(this._regex)).map(toArgs);
+            return Object.assign({matches: matches}, matches[0]);
+        }
+
+        return toArgs(this._regex.exec(content));
+    }
+
+    /**
+     * @param {string} content Text of the message
+     * @param {Array} tokens Consecutive positional tokens from the message
+     * @param {Array} skippedTokens Tokens to leave out of the text, such as options
+     * @returns {string} The text covered by the tokens, keeping the original spacing and new lines if there are multiple ones
+     */
+    _joinTokens(content, tokens, skippedTokens) {
+        if (tokens.length === 0) {
+            return "";
+        }
+        if (tokens.length === 1) {
+            return tokens[0].value;
+        }
+
+        const end = tokens[tokens.length - 1].end;
+        let text = "";
+        let position = tokens[0].start;
+        for (let i = 0; i < skippedTokens.length; ++i) {
+            const token = skippedTokens[i];
+            if (token.start < position || token.end > end) {
+                continue;
+            }
+            text += content.substring(position, token.start);
+            position = token.end;
+            while (position < end && /\s/.test(content[position])) {
+                ++position;
+            }
+        }
+        return text + content.substring(position, end);
+    }
+
+    /**
+     * Tell the user his command is invalid and how it should be used
+     * @param {DiscordJS.Message} message Message containing the invalid command
+     * @param {string} error Description of what is wrong
+     * @param {string} prefixes Server and plugin prefix combined
+     */
+    _replyUsage(message, error, prefixes) {
+        let usage = error + "\nUsage: `" + this.getUsage(prefixes) + "`";
+        if (this.help !== "") {
+            usage += " - " + this.help;
         }
+        message.channel.send(usage).catch(Logger.err);
     }
 
     /**
-     * Function to call to trigger the action of the command
+     * Convert text to a valid name for a Discord application command or option
+     * @static
+     * @param {string} text Trigger, possibly preceded by a prefix
+     * @returns {string} Lower case name of at most 32 letters, digits, "-" or "_"
+     */
+    static toApplicationCommandName(text) {
+        return text.toLowerCase().replace(/[^-_a-z0-9]/g, "-").substr(0, 32);
+    }
+
+    /**
+     * Discord only supports two levels of subcommands and does not let commands containing subcommands be used on their own,
+     * such commands and deeper subcommands cannot be used as application commands
+     * @param {string} name Name of the application command, see toApplicationCommandName
+     * @returns {object} Definition of the Discord application command (slash command) triggering this command
+     */
+    toApplicationCommand(name) {
+        return {
+            name: name,
+            description: this._getApplicationDescription(),
+            options: this.subcommands.length > 0 ? this.subcommands.map((subcommand) => subcommand._toApplicationOption(1)) : this._getApplicationArgOptions(),
+            dm_permission: this.scope !== "guild"
+        };
+    }
+
+    /**
+     * @param {number} depth 1 for a subcommand, 2 for the subcommand of a subcommand
+     * @returns {object} Option of the application command triggering this subcommand
+     */
+    _toApplicationOption(depth) {
+        const isGroup = depth === 1 && this.subcommands.length > 0;
+        return {
+            type: isGroup ? applicationSubcommandGroupType : applicationSubcommandType,
+            name: Command.toApplicationCommandName(this.trigger),
+            description: this._getApplicationDescription(),
+            options: isGroup ? this.subcommands.map((subcommand) => subcommand._toApplicationOption(2)) : this._getApplicationArgOptions()
+        };
+    }
+
+    /**
+     * @returns {string} Description of the application command, Discord requires one of at most 100 characters
+     */
+    _getApplicationDescription() {
+        return (this.help !== "" ? this.help : this.path).substr(0, 100);
+    }
+
+    /**
+     * @returns {Array} Options of the application command built from the args and options of this command, required ones first as Discord expects
+     */
+    _getApplicationArgOptions() {
+        const options = this.args.concat(this.options).map((arg) => arg.toApplicationCommandOption());
+        return options.filter((option) => option.required).concat(options.filter((option) => !option.required));
+    }
+
+    /**
+     * Find the subcommand used in an application command interaction
+     * @param {Array} [options=[]] Options of the interaction data
+     * @returns {object} {command, options} where command is this command if no subcommand is used and options are the values typed for it
+     */
+    resolveApplicationSubcommand(options = []) {
+        const option = options.find((option) => option.type === applicationSubcommandType || option.type === applicationSubcommandGroupType);
+        if (option !== undefined) {
+            const subcommand = this.subcommands.find((subcommand) => Command.toApplicationCommandName(subcommand.trigger) === option.name);
+            if (subcommand !== undefined) {
+                return subcommand.resolveApplicationSubcommand(option.options);
+            }
+        }
+
+        return {
+            command: this,
+            options: options
+        };
+    }
+
+    /**
+     * Triggers the action of this command for an application command interaction, scope and permissions must be checked before
+     * @param {object} message InteractionMessage standing for the message that would have triggered the command
+     * @param {Array} options Values typed by the user for this command, see resolveApplicationSubcommand
+     * @param {object} apiCollection Object containing multiple APIs that can be used by the plugin
+     * @param {string} prefixes Displayed before the command in usage lines, e.g. "/"
+     * @param {object} [guild] Discotron guild in which the interaction happened
+     * @returns {*} Value returned by the action, a Promise for async actions, undefined if the action was not called
+     */
+    doInteractionAction(message, options, apiCollection, prefixes, guild = undefined) {
+        if (!this._hasAction && this.subcommands.length > 0) {
+            this._replyUsage(message, "Missing subcommand.", prefixes);
+            return;
+        }
+
+        let commandArgs;
+        try {
+            commandArgs = this._buildInteractionArgs(message, options);
+        } catch (err) {
+            if (!(err instanceof CommandArgument.ArgumentError)) {
+                throw err;
+            }
+            this._replyUsage(message, err.message, prefixes);
+            return;
+        }
+        if (this._isOnCooldown(message, guild)) {
+            return;
+        }
+        return this.action(message, commandArgs, this._createContext(message, apiCollection, prefixes, guild));
+    }
+
+    /**
+     * Convert the values typed in an application command to the types of the args and options, the same way as text typed in a message
+     * @param {object} message InteractionMessage standing for the message that would have triggered the command
+     * @param {Array} options Values typed by the user: [{name, value}]
+     * @returns {object} {all: [positional args], argName: value, optionName: value, ...}
+     * @throws {CommandArgument.ArgumentError} If a value does not match its argument definition
+     */
+    _buildInteractionArgs(message, options) {
+        const values = {};
+        for (let i = 0; i < options.length; ++i) {
+            values[options[i].name] = String(options[i].value);
+        }
+
+        const commandArgs = {
+            "all": []
+        };
+        for (let i = 0; i < this.args.length; ++i) {
+            const arg = this.args[i];
+            const text = values[arg.name.toLowerCase()];
+            if (text !== undefined) {
+                commandArgs.all.push(text);
+            }
+            commandArgs[arg.name] = arg.parse(text, message);
+        }
+        for (let i = 0; i < this.options.length; ++i) {
+            const option = this.options[i];
+            const name = option.name.toLowerCase();
+            commandArgs[option.name] = option.parseOption(values[name], message, name in values);
+        }
+
+        return commandArgs;
+    }
+
+    /**
+     * Triggers the action of a command of type "reaction"
+     * The action receives (discordMessage, {reaction, emoji, user, event}, context), where discordMessage is the message the reaction is on
      * @param {DiscordJS.MessageReaction} messageReaction A DiscordJS message reaction
+     * @param {DiscordJS.User} user User who added or removed the reaction
+     * @param {string} event "add" or "remove"
      * @param {object} apiCollection Object containing multiple APIs that can be used by the plugin
+     * @param {object} [guild] Discotron guild in which the message was sent
+     * @param {object} [propagation={stopped: false}] Shared by the handlers of the reaction, see CommandContext.stopPropagation
+     * @returns {*} Value returned by the action, a Promise for async actions, undefined if the action was not called
      */
-    doReactionAction(messageReaction, apiCollection) {
-        // TODO
-        this.action({
-            messageReaction: messageReaction
+    doReactionAction(messageReaction, user, event, apiCollection, guild = undefined, propagation = {stopped: false}) {
+        const message = messageReaction.message;
+        // Cooldowns of reactions apply to the user who reacted
+        const usage = {
+            author: user,
+            channel: message.channel,
+            guild: message.guild
+        };
+        if (this._isOnCooldown(usage, guild)) {
+            return;
+        }
+
+        const context = new CommandContext({
+            apiCollection: apiCollection,
+            message: message,
+            command: this,
+            guild: guild,
+            propagation: propagation,
+            user: user
         });
+        return this.action(message, {
+            reaction: messageReaction,
+            emoji: messageReaction.emoji,
+            user: user,
+            event: event
+        }, context);
     }
 }
 
@@ -0,0 +1,133 @@
+const Logger = require("../utils/logger.js");
+
+// Seconds to wait for an answer when no timeout is given, shorter than the default timeout of command actions
+const defaultTimeout = 20;
+
+/**
+ * Lets commands ask a question and wait for the answer of the user, available to plugins as "Conversation" in their API object, and through CommandContext.awaitReply and CommandContext.awaitReaction
+ * Messages and reactions answering a pending question are not given to the commands
+ */
+class Conversation {
+    /**
+     * Wait for the next message of a user in a channel
+     * @static
+     * @param {object} options Args
+     * @param {string} options.discordUserId Discord id of the user who must answer
+     * @param {string} options.discordChannelId Discord id of the channel where the answer is expected
+     * @param {number} [options.timeout=20] Seconds after which the question is abandoned
+     * @param {Function} [options.validator] Receives the message, returns false if it is not an answer, it is then handled as a usual message
+     * @returns {Promise} resolve(message {DiscordJS.Message|null}) null if the user did not answer in time, never rejects
+     */
+    static awaitReply({discordUserId, discordChannelId, timeout = defaultTimeout, validator = () => true}) {
+        return Conversation._wait(Conversation._pendingReplies, {
+            discordUserId: discordUserId,
+            targetId: discordChannelId,
+            validator: validator
+        }, timeout);
+    }
+
+    /**
+     * Wait for a user to react to a message
+     * @static
+     * @param {object} options Args
+     * @param {string} options.discordUserId Discord id of the user who must react
+     * @param {string} options.discordMessageId Discord id of the message to react to
+     * @param {number} [options.timeout=20] Seconds after which the question is abandoned
+     * @param {Function} [options.validator] Receives the reaction, returns false if it is not an answer, e.g. (reaction) => ["✅", "❌"].includes(reaction.emoji.name)
+     * @returns {Promise} resolve(reaction {DiscordJS.MessageReaction|null}) null if the user did not react in time, never rejects
+     */
+    static awaitReaction({discordUserId, discordMessageId, timeout = defaultTimeout, validator = () => true}) {
+        return Conversation._wait(Conversation._pendingReactions, {
+            discordUserId: discordUserId,
+            targetId: discordMessageId,
+            validator: validator
+        }, timeout);
+    }
+
+    /**
+     * @static
+     * @param {string} discordUserId Discord user id
+     * @returns {boolean} True if a question is waiting for an answer of the user
+     */
+    static isWaitingFor(discordUserId) {
+        const isAsked = (question) => question.discordUserId === discordUserId;
+        return Conversation._pendingReplies.some(isAsked) || Conversation._pendingReactions.some(isAsked);
+    }
+
+    /**
+     * Should be called when a message is received, before looking for the commands it triggers
+     * @static
+     * @param {DiscordJS.Message} message Received message
+     * @returns {boolean} True if the message answered a pending question and must not trigger commands
+     */
+    static handleMessage(message) {
+        return Conversation._answer(Conversation._pendingReplies, message.author.id, message.channel.id, message);
+    }
+
+    /**
+     * Should be called when a user reacts to a message, before looking for the commands it triggers
+     * @static
+     * @param {DiscordJS.MessageReaction} reaction Reaction added to the message
+     * @param {DiscordJS.User} user User who reacted
+     * @returns {boolean} True if the reaction answered a pending question and must not trigger commands
+     */
+    static handleReaction(reaction, user) {
+        return Conversation._answer(Conversation._pendingReactions, user.id, reaction.message.id, reaction);
+    }
+
+    /**
+     * @static
+     * @param {Array} pending Pending questions of the same kind
+     * @param {object} question {discordUserId, targetId, validator} targetId being the id of the channel or message where the answer is expected
+     * @param {number} timeout Seconds after which the question is abandoned
+     * @returns {Promise} resolve(answer {object|null}), never rejects
+     */
+    static _wait(pending, question, timeout) {
+        return new Promise((resolve) => {
+            question.resolve = resolve;
+            question.timer = setTimeout(() => {
+                pending.splice(pending.indexOf(question), 1);
+                resolve(null);
+            }, timeout * 1000);
+            pending.push(question);
+        });
+    }
+
+    /**
+     * Give the answer to the oldest question it matches
+     * @static
+     * @param {Array} pending Pending questions of the same kind
+     * @param {string} discordUserId Discord id of the user who answered
+     * @param {string} targetId Discord id of the channel or message where the answer was given
+     * @param {object} answer Message or reaction
+     * @returns {boolean} True if a question was answered
+     */
+    static _answer(pending, discordUserId, targetId, answer) {
+        for (let i = 0; i < pending.length; i++) {
+            const question = pending[i];
+            if (question.discordUserId !== discordUserId || question.targetId !== targetId) {
+                continue;
+            }
+
+            let isAnswer;
+            try {
+                isAnswer = question.validator(answer);
+            } catch (err) {
+                Logger.err(err);
+                isAnswer = false;
+            }
+
+            if (isAnswer) {
+                clearTimeout(question.timer);
+                pending.splice(i, 1);
+                question.resolve(answer);
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+Conversation._pendingReplies = [];
+Conversation._pendingReactions = [];
+module.exports = Conversation;
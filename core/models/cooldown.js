@@ -0,0 +1,161 @@
+const utils = require("../utils/utils.js");
+
+const defaultMessage = "This command is on cooldown, please wait {remaining}.";
+
+// Seconds between two removals of the buckets whose uses all expired
+const pruneInterval = 60;
+
+/**
+ * Limits how often a command can be used, per user, channel or guild
+ */
+class Cooldown {
+    /**
+     * @class
+     * @param {object} settings Settings
+     * @param {string} [settings.scope = "user"] Who shares the cooldown, can be "user|channel|guild" (private messages use the channel for "guild")
+     * @param {number} [settings.duration = 0] Time in seconds before a charge is available again
+     * @param {number} [settings.charges = 1] Number of uses allowed during the duration
+     * @param {string} [settings.message] Reply sent when the cooldown is hit, {remaining} is replaced by the remaining time
+     */
+    constructor({scope = "user", duration = 0, charges = 1, message = defaultMessage} = {}) {
+        this._scope = scope;
+        this._duration = duration;
+        this._charges = Math.max(1, charges);
+        this._message = message;
+    }
+
+    /**
+     * @returns {string} Who shares the cooldown, "user|channel|guild"
+     */
+    get scope() {
+        return this._scope;
+    }
+
+    /**
+     * @returns {number} Time in seconds before a charge is available again
+     */
+    get duration() {
+        return this._duration;
+    }
+
+    /**
+     * @returns {number} Number of uses allowed during the duration
+     */
+    get charges() {
+        return this._charges;
+    }
+
+    /**
+     * @returns {string} Reply sent when the cooldown is hit
+     */
+    get message() {
+        return this._message;
+    }
+
+    /**
+     * @returns {object} Object containing {scope, duration, charges, message}
+     */
+    toObject() {
+        return {
+            scope: this.scope,
+            duration: this.duration,
+            charges: this.charges,
+            message: this.message
+        };
+    }
+
+    /**
+     * Consume a charge if one is available
+     * An edited message which already consumed a charge can use the command again without consuming another one
+     * @param {string} commandId Identifies the command across plugins
+     * @param {DiscordJS.Message} discordMessage Message using the command
+     * @returns {object} {remaining, notify} remaining: 0 if a charge was consumed or the message already has one, otherwise the time in seconds before the next charge is available,
+     *  notify: true for the first blocked use since the last charge was consumed, so the user is told only once
+     */
+    use(commandId, discordMessage) {
+        const bucketId = commandId + "/" + this.scope + "/" + this._getScopeId(discordMessage);
+        const currentTime = (new Date().getTime() / 1000);
+        Cooldown._prune(currentTime);
+
+        const bucket = Cooldown._buckets.get(bucketId) || {
+            uses: [],
+            expires: 0,
+            notified: false
+        };
+        // Only keep the uses that still count
+        bucket.uses = bucket.uses.filter((use) => currentTime - use.time < this.duration);
+        Cooldown._buckets.set(bucketId, bucket);
+
+        if (bucket.uses.some((use) => use.messageId === discordMessage.id)) {
+            return {
+                remaining: 0,
+                notify: false
+            };
+        }
+
+        if (bucket.uses.length >= this.charges) {
+            const notify = !bucket.notified;
+            bucket.notified = true;
+            return {
+                remaining: bucket.uses[0].time + this.duration - currentTime,
+                notify: notify
+            };
+        }
+
+        bucket.uses.push({
+            time: currentTime,
+            messageId: discordMessage.id
+        });
+        bucket.expires = currentTime + this.duration;
+        bucket.notified = false;
+        return {
+            remaining: 0,
+            notify: false
+        };
+    }
+
+    /**
+     * @param {number} remaining Time in seconds before the next charge is available
+     * @returns {string} Reply to send to the user
+     */
+    getReply(remaining) {
+        return this.message.replace(/{remaining}/g, utils.formatDuration(Math.ceil(remaining)));
+    }
+
+    /**
+     * Forget the buckets whose uses all expired, at most once per pruneInterval
+     * @static
+     * @param {number} currentTime Current time in seconds
+     */
+    static _prune(currentTime) {
+        if (currentTime - Cooldown._lastPrune < pruneInterval) {
+            return;
+        }
+        Cooldown._lastPrune = currentTime;
+
+        Cooldown._buckets.forEach((bucket, bucketId) => {
+            if (bucket.expires <= currentTime) {
+                Cooldown._buckets.delete(bucketId);
+            }
+        });
+    }
+
+    /**
+     * @param {DiscordJS.Message} discordMessage Message using the command
+     * @returns {string} Id of the user, channel or guild sharing the cooldown
+     */
+    _getScopeId(discordMessage) {
+        switch (this.scope) {
+            case "channel":
+                return discordMessage.channel.id;
+            case "guild":
+                return discordMessage.guild !== null ? discordMessage.guild.id : discordMessage.channel.id;
+            default: // "user"
+                return discordMessage.author.id;
+        }
+    }
+}
+
+Cooldown._buckets = new Map();
+Cooldown._lastPrune = 0;
+module.exports = Cooldown;
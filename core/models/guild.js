@@ -4,8 +4,14 @@ const Permission = require("./permission.js");
 const Plugin = require("./plugin.js");
 const db = require("./../database/crud.js");
 const Logger = require("../utils/logger.js");
+const CommandIndex = require("../utils/command-index.js");
 const discordClientProvider = require("./../utils/discord-client-provider.js");
 
+// Tables referencing a guild, foreign keys are not enforced so their rows must be deleted along with the guild
+// Global values of PluginStorage and ScheduledJobs have an empty guild id, they are not affected
+const guildTables = ["Admins", "AllowedChannels", "GuildEnabledPlugins", "GuildSettings", "Permissions", "CommandAliases", "CommandCooldowns",
+    "GuildPluginPrefixes", "PluginChannels", "CommandPermissions", "GuildPluginPriorities", "ScheduledJobs", "PluginStorage"];
+
 /**
  * Discotron guild containing info related to a Discord guild
  */
@@ -17,13 +23,18 @@ class Guild extends GuildModel {
     constructor(discordId) {
         super({discordId: discordId});
 
-        global.discotron.on("plugin-loaded", (pluginId) => {
-            this.onPluginLoaded(pluginId);
-        });
-
-        global.discotron.on("plugin-deleted", (pluginId) => {
-            this.onPluginDeleted(pluginId);
-        });
+        // Kept to remove the listeners once the guild is deleted
+        this._listeners = {
+            "plugin-loaded": (pluginId) => {
+                this.onPluginLoaded(pluginId);
+            },
+            "plugin-deleted": (pluginId) => {
+                this.onPluginDeleted(pluginId);
+            }
+        };
+        for (const actionName in this._listeners) {
+            global.discotron.on(actionName, this._listeners[actionName]);
+        }
 
         this._init();
 
@@ -48,7 +59,7 @@ class Guild extends GuildModel {
     }
 
     /**
-     * @returns {object} Object containing {id, prefix, name, nameAcronym, image, allowedChannelIds, enabledPluginIds, admins, permissions}
+     * @returns {object} Object containing {id, prefix, name, nameAcronym, image, allowedChannelIds, enabledPluginIds, admins, permissions, commandAliases, commandCooldowns, suggestCommands, mentionPrefix, pluginPrefixes, pluginChannels, commandPermissions, pluginPriorities}
      */
     toObject() {
         const guild = discordClientProvider.get().guilds.get(this.discordId);
@@ -57,6 +68,13 @@ class Guild extends GuildModel {
             const permission = this.permissions[pluginId];
             permissions[pluginId] = permission.toObject();
         }
+        const commandPermissions = {};
+        for (const pluginId in this.commandPermissions) {
+            commandPermissions[pluginId] = {};
+            for (const commandKey in this.commandPermissions[pluginId]) {
+                commandPermissions[pluginId][commandKey] = this.commandPermissions[pluginId][commandKey].toObject();
+            }
+        }
         return {
             discordId: this.discordId,
             prefix: this.commandPrefix,
@@ -68,7 +86,15 @@ class Guild extends GuildModel {
             admins: Array.from(this._admins).map((userRole) => {
                 return userRole.toObject();
             }),
-            permissions: permissions
+            permissions: permissions,
+            commandAliases: this.commandAliases,
+            commandCooldowns: this.commandCooldowns,
+            suggestCommands: this.suggestCommands,
+            mentionPrefix: this.mentionPrefix,
+            pluginPrefixes: this.pluginPrefixes,
+            pluginChannels: this.pluginChannels,
+            commandPermissions: commandPermissions,
+            pluginPriorities: this.pluginPriorities
         };
     }
 
@@ -180,6 +206,7 @@ class Guild extends GuildModel {
      */
     set commandPrefix(prefix) {
         this._commandPrefix = prefix;
+        CommandIndex.invalidate(this.discordId);
         db.update("GuildSettings", {
             prefix: prefix
         }, {
@@ -194,6 +221,44 @@ class Guild extends GuildModel {
         return super.commandPrefix;
     }
 
+    /**
+     * @param {boolean} suggestCommands True to suggest the closest commands when an unknown one is used
+     */
+    set suggestCommands(suggestCommands) {
+        this._suggestCommands = suggestCommands;
+        db.update("GuildSettings", {
+            suggestCommands: suggestCommands ? 1 : 0
+        }, {
+            discordGuildId: this.discordId
+        }).catch(Logger.err);
+    }
+
+    /**
+     * @returns {boolean} True if the closest commands are suggested when an unknown one is used
+     */
+    get suggestCommands() {
+        return super.suggestCommands;
+    }
+
+    /**
+     * @param {boolean} mentionPrefix True to also accept a mention of the bot as command prefix
+     */
+    set mentionPrefix(mentionPrefix) {
+        this._mentionPrefix = mentionPrefix;
+        db.update("GuildSettings", {
+            mentionPrefix: mentionPrefix ? 1 : 0
+        }, {
+            discordGuildId: this.discordId
+        }).catch(Logger.err);
+    }
+
+    /**
+     * @returns {boolean} True if a mention of the bot is accepted as command prefix
+     */
+    get mentionPrefix() {
+        return super.mentionPrefix;
+    }
+
     /**
      * Set allowed channels
      * @param {Array} discordChannelIds List of Discord channel ids
@@ -295,6 +360,277 @@ class Guild extends GuildModel {
         }).catch(Logger.err);
     }
 
+    /**
+     * Set the users and roles allowed to use a command, replacing the permission of the plugin for this command
+     * @param {string} pluginId plugin id
+     * @param {string} commandKey Key of the command in the plugin
+     * @param {Array} userRoles Array of UserRole, empty to use the default permission of the command
+     * @returns {Promise} Promise resolves once command permissions fully set (database operation completed).
+     */
+    setCommandPermission(pluginId, commandKey, userRoles) {
+        if (this._commandPermissions[pluginId] === undefined) {
+            this._commandPermissions[pluginId] = {};
+        }
+
+        if (userRoles.length === 0) {
+            delete this._commandPermissions[pluginId][commandKey];
+        } else {
+            const permission = new Permission({discordGuildId: this.discordId, pluginId: pluginId});
+            permission._usersRoles = userRoles;
+            this._commandPermissions[pluginId][commandKey] = permission;
+        }
+
+        return db.delete("CommandPermissions", {
+            discordGuildId: this.discordId,
+            pluginId: pluginId,
+            commandKey: commandKey
+        }).then(() => {
+            const promises = [];
+            for (let i = 0; i < userRoles.length; ++i) {
+                promises.push(userRoles[i].getId().then((id) => {
+                    return db.insert("CommandPermissions", {
+                        discordGuildId: this.discordId,
+                        pluginId: pluginId,
+                        commandKey: commandKey,
+                        userRoleId: id
+                    });
+                }));
+            }
+            return Promise.all(promises);
+        }).catch(Logger.err);
+    }
+
+    /**
+     * The permission set for the command or one of its parents is used first, then the permission set for the plugin,
+     * then the default permission of the command or of its parents and finally the default permission of the plugin
+     * @param {object} command Command, or subcommand, of a plugin
+     * @param {string} discordUserId Discord user id
+     * @returns {boolean} True if the user is allowed to use the command in this guild
+     */
+    allowsCommand(command, discordUserId) {
+        for (let current = command; current !== undefined; current = current.parent) {
+            const permission = this.getCommandPermission(current.pluginId, current.key);
+            if (permission !== undefined) {
+                return permission.allows(discordUserId);
+            }
+        }
+
+        const pluginPermission = this.permissions[command.pluginId];
+        if (pluginPermission !== undefined && pluginPermission.usersRoles.length > 0) {
+            return pluginPermission.allows(discordUserId);
+        }
+
+        for (let current = command; current !== undefined; current = current.parent) {
+            switch (current.defaultPermission) {
+                case "everyone":
+                    return true;
+                case "admin":
+                    return this.isAdmin(discordUserId);
+            }
+        }
+
+        return this.allowsPlugin(command.pluginId, discordUserId);
+    }
+
+    /**
+     * The permission set for the plugin is used first, then the default permission of the plugin
+     * @param {string} pluginId Id of the plugin
+     * @param {string} discordUserId Discord user id
+     * @returns {boolean} True if the user is allowed to use the plugin in this guild, core commands do not belong to a plugin and are allowed
+     */
+    allowsPlugin(pluginId, discordUserId) {
+        const plugin = Plugin.getAll()[pluginId];
+        if (plugin === undefined) {
+            return true;
+        }
+
+        const pluginPermission = this.permissions[pluginId];
+        if (pluginPermission !== undefined && pluginPermission.usersRoles.length > 0) {
+            return pluginPermission.allows(discordUserId);
+        }
+        return plugin.defaultPermission === "everyone" || this.isAdmin(discordUserId);
+    }
+
+    /**
+     * Replace the global prefix of a plugin in this guild
+     * @param {string} pluginId plugin id
+     * @param {string|null} prefix Prefix used in this guild, null to use the global prefix of the plugin
+     * @returns {Promise} Promise resolves once the prefix is saved (database operation completed).
+     */
+    setPluginPrefix(pluginId, prefix) {
+        const where = {
+            discordGuildId: this.discordId,
+            pluginId: pluginId
+        };
+        CommandIndex.invalidate(this.discordId);
+
+        if (prefix === null) {
+            delete this._pluginPrefixes[pluginId];
+            return db.delete("GuildPluginPrefixes", where).catch(Logger.err);
+        }
+
+        this._pluginPrefixes[pluginId] = prefix;
+        return db.delete("GuildPluginPrefixes", where).then(() => {
+            return db.insert("GuildPluginPrefixes", Object.assign({prefix: prefix}, where));
+        }).catch(Logger.err);
+    }
+
+    /**
+     * Restrict the channels in which a plugin can be used in this guild
+     * @param {string} pluginId plugin id
+     * @param {Array} allowedChannelIds Ids of the channels and categories where the plugin can be used, empty to allow every channel
+     * @param {Array} deniedChannelIds Ids of the channels and categories where the plugin cannot be used
+     * @returns {Promise} Promise resolves once the channels are saved (database operation completed).
+     */
+    setPluginChannels(pluginId, allowedChannelIds, deniedChannelIds) {
+        allowedChannelIds = Array.from(new Set(allowedChannelIds));
+        deniedChannelIds = Array.from(new Set(deniedChannelIds)).filter((id) => !allowedChannelIds.includes(id));
+
+        if (allowedChannelIds.length === 0 && deniedChannelIds.length === 0) {
+            delete this._pluginChannels[pluginId];
+        } else {
+            this._pluginChannels[pluginId] = {
+                allowed: allowedChannelIds,
+                denied: deniedChannelIds
+            };
+        }
+
+        return db.delete("PluginChannels", {
+            discordGuildId: this.discordId,
+            pluginId: pluginId
+        }).then(() => {
+            const insert = (discordChannelId, allowed) => {
+                return db.insert("PluginChannels", {
+                    discordGuildId: this.discordId,
+                    pluginId: pluginId,
+                    discordChannelId: discordChannelId,
+                    allowed: allowed ? 1 : 0
+                });
+            };
+            return Promise.all(allowedChannelIds.map((id) => insert(id, true)).concat(deniedChannelIds.map((id) => insert(id, false))));
+        }).catch(Logger.err);
+    }
+
+    /**
+     * Entries of the channel take precedence over the ones of its category
+     * @param {string} pluginId plugin id
+     * @param {DiscordJS.Channel} discordChannel Channel of the guild in which the plugin would be used
+     * @returns {boolean} True if the plugin can be used in the channel
+     */
+    allowsPluginInChannel(pluginId, discordChannel) {
+        const channels = this.getPluginChannels(pluginId);
+        const ids = [discordChannel.id];
+        if (discordChannel.parentID !== undefined && discordChannel.parentID !== null) {
+            ids.push(discordChannel.parentID);
+        }
+
+        for (let i = 0; i < ids.length; ++i) {
+            if (channels.denied.includes(ids[i])) {
+                return false;
+            }
+            if (channels.allowed.includes(ids[i])) {
+                return true;
+            }
+        }
+
+        return channels.allowed.length === 0;
+    }
+
+    /**
+     * Order the plugins in this guild, replacing the priorities set by the owners
+     * @param {object} priorities {plugin id => priority}, empty to use the priorities set by the owners
+     * @returns {Promise} Promise resolves once the priorities are saved (database operation completed).
+     */
+    setPluginPriorities(priorities) {
+        this._pluginPriorities = {};
+        for (const pluginId in priorities) {
+            this._pluginPriorities[pluginId] = parseInt(priorities[pluginId], 10) || 0;
+        }
+
+        return db.delete("GuildPluginPriorities", {
+            discordGuildId: this.discordId
+        }).then(() => {
+            const promises = [];
+            for (const pluginId in this._pluginPriorities) {
+                promises.push(db.insert("GuildPluginPriorities", {
+                    discordGuildId: this.discordId,
+                    pluginId: pluginId,
+                    priority: this._pluginPriorities[pluginId]
+                }));
+            }
+            return Promise.all(promises);
+        }).catch(Logger.err);
+    }
+
+    /**
+     * Set the custom aliases of a command on the guild
+     * @param {string} pluginId plugin id
+     * @param {string} commandKey Key of the command in the plugin
+     * @param {Array} aliases Array of aliases, they will be converted to lower case
+     * @returns {Promise} Promise resolves once aliases are saved (database operation completed).
+     */
+    setCommandAliases(pluginId, commandKey, aliases) {
+        aliases = Array.from(new Set(aliases.map((alias) => alias.trim().toLowerCase()).filter((alias) => alias !== "")));
+
+        if (this._commandAliases[pluginId] === undefined) {
+            this._commandAliases[pluginId] = {};
+        }
+        this._commandAliases[pluginId][commandKey] = aliases;
+        CommandIndex.invalidate(this.discordId);
+
+        return db.delete("CommandAliases", {
+            discordGuildId: this.discordId,
+            pluginId: pluginId,
+            commandKey: commandKey
+        }).then(() => {
+            const promises = [];
+            for (let i = 0; i < aliases.length; ++i) {
+                promises.push(db.insert("CommandAliases", {
+                    discordGuildId: this.discordId,
+                    pluginId: pluginId,
+                    commandKey: commandKey,
+                    alias: aliases[i]
+                }));
+            }
+            return Promise.all(promises);
+        }).catch(Logger.err);
+    }
+
+    /**
+     * Override the cooldown of a command in this guild
+     * @param {string} pluginId Id of the plugin
+     * @param {string} commandKey Key of the command in the plugin
+     * @param {object|null} cooldown {scope, duration, charges}, a duration of 0 disables the cooldown, null restores the default one
+     * @returns {Promise} resolve(), reject()
+     */
+    setCommandCooldown(pluginId, commandKey, cooldown) {
+        if (this._commandCooldowns[pluginId] === undefined) {
+            this._commandCooldowns[pluginId] = {};
+        }
+
+        const where = {
+            discordGuildId: this.discordId,
+            pluginId: pluginId,
+            commandKey: commandKey
+        };
+
+        if (cooldown === null) {
+            delete this._commandCooldowns[pluginId][commandKey];
+            return db.delete("CommandCooldowns", where).catch(Logger.err);
+        }
+
+        cooldown = {
+            scope: ["user", "channel", "guild"].includes(cooldown.scope) ? cooldown.scope : "user",
+            duration: Math.max(0, parseFloat(cooldown.duration) || 0),
+            charges: Math.max(1, parseInt(cooldown.charges, 10) || 1)
+        };
+        this._commandCooldowns[pluginId][commandKey] = cooldown;
+
+        return db.delete("CommandCooldowns", where).then(() => {
+            return db.insert("CommandCooldowns", Object.assign({}, where, cooldown));
+        }).catch(Logger.err);
+    }
+
     /**
      * Must be called after a plugin is loaded
      * @param {string} pluginId that was loaded
@@ -309,6 +645,12 @@ class Guild extends GuildModel {
      */
     onPluginDeleted(pluginId) {
         delete this.permissions[pluginId];
+        delete this._commandAliases[pluginId];
+        delete this._commandCooldowns[pluginId];
+        delete this._pluginPrefixes[pluginId];
+        delete this._pluginChannels[pluginId];
+        delete this._commandPermissions[pluginId];
+        delete this._pluginPriorities[pluginId];
         this._enabledPlugins.delete(pluginId);
     }
 
@@ -319,9 +661,17 @@ class Guild extends GuildModel {
             await this._loadAdminsFromDatabase();
             await this._loadAllowedChannels();
             await this._loadEnabledPlugins();
+            await this._loadCommandAliases();
+            await this._loadCommandCooldowns();
+            await this._loadPluginPrefixes();
+            await this._loadPluginChannels();
+            await this._loadCommandPermissions();
+            await this._loadPluginPriorities();
         } catch (err) {
             Logger.err(err);
         }
+        // Prefixes and aliases may have been used before being loaded
+        CommandIndex.invalidate(this.discordId);
     }
 
     /**
@@ -349,6 +699,36 @@ class Guild extends GuildModel {
         });
     }
 
+    /**
+     * Load the users and roles allowed to use each command from database
+     * @returns {Promise} Promise resolves once command permissions are loaded (database operation completed).
+     */
+    _loadCommandPermissions() {
+        return db.select("CommandPermissions", ["pluginId", "commandKey", "userRoleId"], {
+            discordGuildId: this.discordId
+        }).then((rows) => {
+            const promises = [];
+
+            for (let i = 0; i < rows.length; ++i) {
+                const pluginId = rows[i].pluginId;
+                const commandKey = rows[i].commandKey;
+                if (this._commandPermissions[pluginId] === undefined) {
+                    this._commandPermissions[pluginId] = {};
+                }
+                if (this._commandPermissions[pluginId][commandKey] === undefined) {
+                    this._commandPermissions[pluginId][commandKey] = new Permission({discordGuildId: this.discordId, pluginId: pluginId});
+                }
+
+                const commandPermission = this._commandPermissions[pluginId][commandKey];
+                promises.push(UserRole.getById(rows[i].userRoleId, this.discordId).then((userRole) => {
+                    commandPermission._usersRoles.push(userRole);
+                }));
+            }
+
+            return Promise.all(promises);
+        });
+    }
+
     /**
      * Load plugins enabled on this guild from database
      * @returns {Promise} Promise resolves once plugin enabled list is loaded (database operation completed).
@@ -363,6 +743,95 @@ class Guild extends GuildModel {
         });
     }
 
+    /**
+     * Load custom command aliases from database
+     * @returns {Promise} Promise resolves once aliases are loaded (database operation completed).
+     */
+    _loadCommandAliases() {
+        return db.select("CommandAliases", ["pluginId", "commandKey", "alias"], {
+            discordGuildId: this.discordId
+        }).then((rows) => {
+            for (let i = 0; i < rows.length; ++i) {
+                const row = rows[i];
+                if (this._commandAliases[row.pluginId] === undefined) {
+                    this._commandAliases[row.pluginId] = {};
+                }
+                if (this._commandAliases[row.pluginId][row.commandKey] === undefined) {
+                    this._commandAliases[row.pluginId][row.commandKey] = [];
+                }
+                this._commandAliases[row.pluginId][row.commandKey].push(row.alias);
+            }
+        });
+    }
+
+    /**
+     * Load the cooldowns set by the admins from database
+     * @returns {Promise} Promise resolves once the cooldowns are loaded (database operation completed).
+     */
+    _loadCommandCooldowns() {
+        return db.select("CommandCooldowns", ["pluginId", "commandKey", "scope", "duration", "charges"], {
+            discordGuildId: this.discordId
+        }).then((rows) => {
+            for (let i = 0; i < rows.length; ++i) {
+                const row = rows[i];
+                if (this._commandCooldowns[row.pluginId] === undefined) {
+                    this._commandCooldowns[row.pluginId] = {};
+                }
+                this._commandCooldowns[row.pluginId][row.commandKey] = {
+                    scope: row.scope,
+                    duration: row.duration,
+                    charges: row.charges
+                };
+            }
+        });
+    }
+
+    /**
+     * Load the plugin prefixes set by the admins from database
+     * @returns {Promise} Promise resolves once the prefixes are loaded (database operation completed).
+     */
+    _loadPluginPrefixes() {
+        return db.select("GuildPluginPrefixes", ["pluginId", "prefix"], {
+            discordGuildId: this.discordId
+        }).then((rows) => {
+            for (let i = 0; i < rows.length; ++i) {
+                this._pluginPrefixes[rows[i].pluginId] = rows[i].prefix;
+            }
+        });
+    }
+
+    /**
+     * Load the channels where each plugin is allowed or denied from database
+     * @returns {Promise} Promise resolves once the channels are loaded (database operation completed).
+     */
+    _loadPluginChannels() {
+        return db.select("PluginChannels", ["pluginId", "discordChannelId", "allowed"], {
+            discordGuildId: this.discordId
+        }).then((rows) => {
+            for (let i = 0; i < rows.length; ++i) {
+                const pluginId = rows[i].pluginId;
+                if (this._pluginChannels[pluginId] === undefined) {
+                    this._pluginChannels[pluginId] = {allowed: [], denied: []};
+                }
+                this._pluginChannels[pluginId][rows[i].allowed === 1 ? "allowed" : "denied"].push(rows[i].discordChannelId);
+            }
+        });
+    }
+
+    /**
+     * Load the order of the plugins set by the admins from database
+     * @returns {Promise} Promise resolves once the priorities are loaded (database operation completed).
+     */
+    _loadPluginPriorities() {
+        return db.select("GuildPluginPriorities", ["pluginId", "priority"], {
+            discordGuildId: this.discordId
+        }).then((rows) => {
+            for (let i = 0; i < rows.length; ++i) {
+                this._pluginPriorities[rows[i].pluginId] = rows[i].priority;
+            }
+        });
+    }
+
     /**
      * Load allowed channels from database
      * @returns {Promise} Promise resolves once list of allowed channels is loaded (database operation completed).
@@ -382,11 +851,13 @@ class Guild extends GuildModel {
      * @returns {Promise} Promise resolves once guild settings are loaded (database operation completed).
      */
     _loadGuildSettings() {
-        return db.select("GuildSettings", ["prefix"], {
+        return db.select("GuildSettings", ["prefix", "suggestCommands", "mentionPrefix"], {
             discordGuildId: this.discordId
         }).then((rows) => {
             if (rows.length > 0) {
                 this._commandPrefix = rows[0].prefix;
+                this._suggestCommands = rows[0].suggestCommands === 1;
+                this._mentionPrefix = rows[0].mentionPrefix === 1;
             } else {
                 return Promise.reject(new Error("GuildSettings not found"));
             }
@@ -413,15 +884,33 @@ class Guild extends GuildModel {
     }
 
     /**
-     * Removes the guild from the database
-     * @returns {Promise} Promise resolves once database operation completed.
+     * Removes the guild from the database, along with its settings, the jobs plugins scheduled for it and the values plugins stored for it
+     * @returns {Promise} resolve() once the database operations completed, reject(error)
      */
     delete() {
-        return db.delete("Guilds", {
-            discordGuildId: this.discordId
+        for (const actionName in this._listeners) {
+            global.discotron.off(actionName, this._listeners[actionName]);
+        }
+
+        const plugins = Plugin.getAll();
+        const promises = [];
+        for (const pluginId in plugins) {
+            const scheduler = plugins[pluginId].scheduler;
+            promises.push(...scheduler.list(this.discordId).map((job) => scheduler.cancel(job.id)));
+        }
+
+        return Promise.all(promises).then(() => {
+            return Promise.all(guildTables.map((table) => db.delete(table, {
+                discordGuildId: this.discordId
+            })));
+        }).then(() => {
+            return db.delete("Guilds", {
+                discordGuildId: this.discordId
+            });
         }).then(() => {
             delete Guild._guilds[this.discordId];
-        }).catch(Logger.err);
+            CommandIndex.invalidate(this.discordId);
+        });
     }
 
     /**
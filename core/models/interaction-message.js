@@ -0,0 +1,250 @@
+const { RichEmbed } = require("discord.js");
+const request = require("request");
+const Logger = require("../utils/logger.js");
+const discordClientProvider = require("../utils/discord-client-provider.js");
+
+const discordApiUrl = "https://discord.com/api/v10/";
+
+// Types of the responses to an interaction
+const responseTypes = {
+    channelMessage: 4,
+    deferredChannelMessage: 5,
+    deferredUpdateMessage: 6
+};
+
+// Flag of the messages only visible to the user of the interaction
+const ephemeralFlag = 64;
+
+/**
+ * Stands for the message that would have triggered a command, for commands triggered by a Discord interaction (slash command or button)
+ * Has the properties of a DiscordJS.Message used by commands, messages sent in its channel answer the interaction
+ */
+class InteractionMessage {
+    /**
+     * @class
+     * @param {object} interaction Interaction object received from Discord
+     * @param {string} content Text standing for the command, e.g. "/roll 6"
+     * @param {Function} respond Called with the response to the interaction, at most once
+     */
+    constructor(interaction, content, respond) {
+        const discordClient = discordClientProvider.get({allowOffline: true});
+        const user = interaction.member !== undefined ? interaction.member.user : interaction.user;
+        const resolved = interaction.data.resolved || {};
+
+        this._interaction = interaction;
+        this._respond = respond;
+        // "pending" until the interaction is answered or deferred, "responded" once the response or a reply is sent
+        this._state = "pending";
+
+        this.id = interaction.id;
+        this.content = content;
+        this.deleted = false;
+        this.author = discordClient.users.get(user.id) || Object.assign({
+            tag: user.username + "#" + user.discriminator,
+            bot: false,
+            send: (content, options) => {
+                return discordClient.fetchUser(user.id).then((discordUser) => discordUser.send(content, options));
+            }
+        }, user);
+        this.guild = interaction.guild_id !== undefined ? discordClient.guilds.get(interaction.guild_id) || null : null;
+        this.member = this.guild !== null ? this.guild.members.get(user.id) || null : null;
+
+        const channel = discordClient.channels.get(interaction.channel_id) || {
+            id: interaction.channel_id,
+            type: this.guild !== null ? "text" : "dm",
+            guild: this.guild
+        };
+        this.channel = Object.assign(Object.create(channel), {
+            send: (content, options) => this._send(content, options)
+        });
+
+        this.mentions = {
+            users: InteractionMessage._toMap(resolved.users, (id) => discordClient.users.get(id)),
+            channels: InteractionMessage._toMap(resolved.channels, (id) => discordClient.channels.get(id)),
+            roles: InteractionMessage._toMap(resolved.roles, (id) => this.guild !== null ? this.guild.roles.get(id) : undefined)
+        };
+    }
+
+    /**
+     * @returns {object} Interaction object received from Discord
+     */
+    get interaction() {
+        return this._interaction;
+    }
+
+    /**
+     * @returns {boolean} True if the interaction comes from a button rather than an application command
+     */
+    get isComponent() {
+        return this._interaction.data.custom_id !== undefined;
+    }
+
+    /**
+     * Interactions are always addressed to the bot
+     * @returns {boolean} True
+     */
+    isMentioned() {
+        return true;
+    }
+
+    /**
+     * @param {string|RichEmbed} content Text or embed of the reply
+     * @param {object} [options] Options given to DiscordJS, set options.ephemeral to true to only show the reply to the user
+     * @returns {Promise} resolve(reply {object}) reply: {id, edit, delete}, reject()
+     */
+    reply(content, options) {
+        return this.channel.send(content, options);
+    }
+
+    /**
+     * Interactions have no message to react to
+     * @returns {Promise} resolve()
+     */
+    react() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Tell Discord the response will come later, must be done before Discord stops waiting for it
+     */
+    defer() {
+        if (this._state === "pending") {
+            this._state = "deferred";
+            this._respond({
+                type: responseTypes.deferredChannelMessage
+            });
+        }
+    }
+
+    /**
+     * Must be called once the command is done, answers the interaction if the command did not reply
+     */
+    end() {
+        if (this._state === "pending") {
+            this._state = "responded";
+            this._respond(this.isComponent ? {
+                type: responseTypes.deferredUpdateMessage
+            } : {
+                type: responseTypes.channelMessage,
+                data: {
+                    content: "Done.",
+                    flags: ephemeralFlag
+                }
+            });
+        } else if (this._state === "deferred") {
+            this._state = "responded";
+            this._requestWebhook("DELETE", "/messages/@original").catch(Logger.err);
+        }
+    }
+
+    /**
+     * Answer the interaction with the first reply, send the next ones as follow-up messages
+     * @param {string|RichEmbed} content Text or embed of the message
+     * @param {object} [options] Options given to DiscordJS
+     * @returns {Promise} resolve(reply {object}) reply: {id, edit, delete}, reject()
+     */
+    _send(content, options) {
+        const data = InteractionMessage._toMessageData(content, options);
+
+        switch (this._state) {
+            case "pending":
+                this._state = "responded";
+                this._respond({
+                    type: responseTypes.channelMessage,
+                    data: data
+                });
+                return Promise.resolve(this._createReply("@original"));
+
+            case "deferred":
+                this._state = "responded";
+                return this._requestWebhook("PATCH", "/messages/@original", data).then(() => this._createReply("@original"));
+
+            default:
+                return this._requestWebhook("POST", "?wait=true", data).then((message) => this._createReply(message.id));
+        }
+    }
+
+    /**
+     * @param {string} messageId Id of the message sent by the bot, "@original" for the response to the interaction
+     * @returns {object} {id, edit, delete} to change the reply the way commands change DiscordJS messages
+     */
+    _createReply(messageId) {
+        return {
+            id: messageId,
+            deleted: false,
+            edit: (content, options) => {
+                return this._requestWebhook("PATCH", "/messages/" + messageId, InteractionMessage._toMessageData(content, options));
+            },
+            delete: () => {
+                return this._requestWebhook("DELETE", "/messages/" + messageId);
+            }
+        };
+    }
+
+    /**
+     * Query the webhook of the interaction, used to send messages once the interaction is answered
+     * @param {string} method HTTP method
+     * @param {string} path Path following the webhook url
+     * @param {object} [body] Data sent as JSON
+     * @returns {Promise} resolve(answer {object}), reject(error {Error})
+     */
+    _requestWebhook(method, path, body = undefined) {
+        return new Promise((resolve, reject) => {
+            Logger.debug("Query made to Discord API (interaction webhook " + method + ")");
+            request({
+                method: method,
+                url: discordApiUrl + "webhooks/" + this._interaction.application_id + "/" + this._interaction.token + path,
+                json: body !== undefined ? body : true
+            }, (err, response, answer) => {
+                if (err !== null) {
+                    reject(err);
+                } else if (response.statusCode >= 400) {
+                    reject(new Error("Discord answered " + response.statusCode + ": " + JSON.stringify(answer)));
+                } else {
+                    resolve(answer);
+                }
+            });
+        });
+    }
+
+    /**
+     * @static
+     * @param {string|RichEmbed|object} content Text or embed of the message, or options
+     * @param {object} [options={}] Options given to DiscordJS: {embed, ephemeral}
+     * @returns {object} Message data as expected by Discord: {content, embeds, flags}
+     */
+    static _toMessageData(content, options = {}) {
+        const data = {};
+        if (content instanceof RichEmbed) {
+            data.embeds = [content];
+        } else if (typeof content === "object" && content !== null) {
+            options = content;
+        } else if (content !== undefined) {
+            data.content = String(content);
+        }
+
+        if (options.embed !== undefined) {
+            data.embeds = [options.embed];
+        }
+        if (options.ephemeral) {
+            data.flags = ephemeralFlag;
+        }
+        return data;
+    }
+
+    /**
+     * @static
+     * @param {object} [resolved={}] {id => object} users, channels or roles resolved by Discord
+     * @param {Function} getCached Returns the DiscordJS object with the given id, undefined if it is not cached
+     * @returns {Map} {id => object} DiscordJS objects when they are cached, objects from Discord otherwise
+     */
+    static _toMap(resolved = {}, getCached) {
+        const map = new Map();
+        for (const id in resolved) {
+            map.set(id, getCached(id) || resolved[id]);
+        }
+        return map;
+    }
+}
+
+module.exports = InteractionMessage;
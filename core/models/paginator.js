@@ -0,0 +1,188 @@
+const { RichEmbed } = require("discord.js");
+const Logger = require("../utils/logger.js");
+const discordClientProvider = require("../utils/discord-client-provider.js");
+
+const emojis = {
+    previous: "◀",
+    next: "▶",
+    close: "✖"
+};
+
+// Seconds without input after which the reactions are removed
+const defaultTimeout = 120;
+
+/**
+ * Shows pages in a single message, the user who asked for them changes page with the ◀ ▶ reactions and closes it with ✖
+ * Available to plugins as "Paginator" in their API object, and through CommandContext.paginate
+ */
+class Paginator {
+    /**
+     * @class
+     * @param {object} options Args
+     * @param {Array} options.pages Text, embeds or data to build embeds from : e.g. [{title: "Scores", description: "..."}]
+     * @param {string} options.discordUserId Discord id of the only user who can change page
+     * @param {number} [options.startPage=0] Index of the page displayed first
+     * @param {number} [options.timeout=120] Seconds without input after which the pages cannot be changed anymore
+     */
+    constructor({pages, discordUserId, startPage = 0, timeout = defaultTimeout}) {
+        this._pages = pages.map((page) => typeof page === "string" || page instanceof RichEmbed ? page : new RichEmbed(page));
+        this._discordUserId = discordUserId;
+        this._page = Math.min(Math.max(0, startPage), this._pages.length - 1);
+        this._timeout = timeout;
+        this._timer = undefined;
+        this._message = undefined;
+    }
+
+    /**
+     * Send the pages in a channel
+     * @static
+     * @param {DiscordJS.Channel} channel Channel where the pages are sent
+     * @param {Array} pages See constructor
+     * @param {object} options {discordUserId, startPage, timeout}, see constructor
+     * @returns {Promise} resolve(paginator {Paginator}) once the message is sent, reject()
+     */
+    static send(channel, pages, options) {
+        const paginator = new Paginator(Object.assign({pages: pages}, options));
+        return channel.send(paginator.currentPage).then((message) => {
+            return paginator.attach(message);
+        });
+    }
+
+    /**
+     * Should be called when a user reacts to a message
+     * @static
+     * @param {DiscordJS.MessageReaction} reaction Reaction added to the message
+     * @param {DiscordJS.User} user User who reacted
+     * @returns {boolean} True if the reaction was meant for a paginator and must not trigger commands
+     */
+    static handleReaction(reaction, user) {
+        const paginator = Paginator._paginators.get(reaction.message.id);
+        const emoji = reaction.emoji.name;
+        if (paginator === undefined || !Object.values(emojis).includes(emoji)) {
+            return false;
+        }
+
+        if (user.id === paginator._discordUserId) {
+            switch (emoji) {
+                case emojis.previous:
+                    paginator.show(paginator.page - 1);
+                    break;
+                case emojis.next:
+                    paginator.show(paginator.page + 1);
+                    break;
+                default:
+                    paginator.stop();
+                    return true;
+            }
+            paginator._startTimer();
+        }
+
+        // So the emoji can be clicked again, fails without the permission to manage messages
+        reaction.remove(user).catch(() => { });
+        return true;
+    }
+
+    /**
+     * @returns {number} Index of the displayed page
+     */
+    get page() {
+        return this._page;
+    }
+
+    /**
+     * @returns {number} Number of pages
+     */
+    get pageCount() {
+        return this._pages.length;
+    }
+
+    /**
+     * @returns {string|RichEmbed} Content of the displayed page
+     */
+    get currentPage() {
+        return this._pages[this._page];
+    }
+
+    /**
+     * @returns {DiscordJS.Message|undefined} Message displaying the pages, undefined until it is sent
+     */
+    get message() {
+        return this._message;
+    }
+
+    /**
+     * Start listening to the reactions of a message displaying the current page
+     * @param {DiscordJS.Message} message Message sent by the bot
+     * @returns {Promise} resolve(paginator {Paginator}) once the reactions are added, reject()
+     */
+    attach(message) {
+        const previous = Paginator._paginators.get(message.id);
+        if (previous !== undefined) {
+            clearTimeout(previous._timer);
+        }
+
+        this._message = message;
+        if (this.pageCount <= 1) {
+            return Promise.resolve(this);
+        }
+
+        Paginator._paginators.set(message.id, this);
+        this._startTimer();
+
+        // Added one after the other so they are displayed in order
+        return message.react(emojis.previous).then(() => {
+            return message.react(emojis.next);
+        }).then(() => {
+            return message.react(emojis.close);
+        }).then(() => this);
+    }
+
+    /**
+     * Display another page
+     * @param {number} page Index of the page, clamped to the existing pages
+     * @returns {Promise} resolve() once the message is edited, never rejects
+     */
+    show(page) {
+        page = Math.min(Math.max(0, page), this.pageCount - 1);
+        if (page === this._page) {
+            return Promise.resolve();
+        }
+
+        this._page = page;
+        return this._message.edit(this.currentPage).then(() => { }).catch(Logger.err);
+    }
+
+    /**
+     * Stop listening to the reactions and remove them, the current page stays displayed
+     */
+    stop() {
+        clearTimeout(this._timer);
+        if (Paginator._paginators.get(this._message.id) !== this) {
+            return;
+        }
+        Paginator._paginators.delete(this._message.id);
+
+        this._message.clearReactions().catch(() => {
+            // Without the permission to manage messages, only the reactions of the bot can be removed
+            const botUser = discordClientProvider.get().user;
+            this._message.reactions.forEach((reaction) => {
+                if (Object.values(emojis).includes(reaction.emoji.name)) {
+                    reaction.remove(botUser).catch(() => { });
+                }
+            });
+        });
+    }
+
+    /**
+     * Stop after the timeout, restarted at each input
+     */
+    _startTimer() {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => {
+            this.stop();
+        }, this._timeout * 1000);
+    }
+}
+
+Paginator._paginators = new Map();
+module.exports = Paginator;
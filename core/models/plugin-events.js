@@ -0,0 +1,120 @@
+const Logger = require("../utils/logger.js");
+const discordClientProvider = require("./../utils/discord-client-provider.js");
+
+// Discord events plugins can listen to, with the function returning the Discord guild each of them happens in
+const supportedEvents = {
+    guildMemberAdd: (member) => member.guild,
+    guildMemberRemove: (member) => member.guild,
+    guildMemberUpdate: (oldMember, newMember) => newMember.guild,
+    guildBanAdd: (guild) => guild,
+    guildBanRemove: (guild) => guild,
+    voiceStateUpdate: (oldMember, newMember) => newMember.guild,
+    roleCreate: (role) => role.guild,
+    roleDelete: (role) => role.guild,
+    roleUpdate: (oldRole, newRole) => newRole.guild,
+    channelCreate: (channel) => channel.guild,
+    channelDelete: (channel) => channel.guild,
+    channelUpdate: (oldChannel, newChannel) => newChannel.guild,
+    emojiCreate: (emoji) => emoji.guild,
+    emojiDelete: (emoji) => emoji.guild,
+    emojiUpdate: (oldEmoji, newEmoji) => newEmoji.guild,
+    messageDelete: (message) => message.guild,
+    messageDeleteBulk: (messages) => messages.first().guild,
+    messageUpdate: (oldMessage, newMessage) => newMessage.guild
+};
+
+/**
+ * Discord events handled by a plugin, declared in its config as events: {discordEventName: handler}
+ * Handlers receive the arguments given by DiscordJS followed by the API object of the plugin, e.g. guildMemberAdd: (member, apiObject) => {...}
+ * They are only called for the guilds where the plugin is enabled
+ */
+class PluginEvents {
+    /**
+     * @class
+     * @param {object} plugin Plugin handling the events
+     * @param {object} [handlers={}] {Discord event name => handler}
+     */
+    constructor(plugin, handlers = {}) {
+        this._plugin = plugin;
+        this._listeners = {};
+
+        for (const eventName in handlers) {
+            if (supportedEvents[eventName] === undefined) {
+                Logger.warn("Unsupported event **" + eventName + "** in plugin **" + plugin.id + "**, it will be ignored. Supported events are: " + Object.keys(supportedEvents).join(", "));
+            } else if (typeof handlers[eventName] !== "function") {
+                Logger.warn("The handler of event **" + eventName + "** in plugin **" + plugin.id + "** is not a function, it will be ignored.");
+            } else {
+                this._listeners[eventName] = (...args) => {
+                    this._onEvent(eventName, handlers[eventName], args);
+                };
+            }
+        }
+    }
+
+    /**
+     * @returns {Array} Names of the Discord events handled by the plugin
+     */
+    get eventNames() {
+        return Object.keys(this._listeners);
+    }
+
+    /**
+     * Start listening to the events, must be called once the plugin is loaded
+     */
+    attach() {
+        const discordClient = discordClientProvider.get({allowOffline: true});
+        for (const eventName in this._listeners) {
+            discordClient.on(eventName, this._listeners[eventName]);
+        }
+    }
+
+    /**
+     * Stop listening to the events, must be called when the plugin is unloaded
+     */
+    detach() {
+        const discordClient = discordClientProvider.get({allowOffline: true});
+        for (const eventName in this._listeners) {
+            discordClient.removeListener(eventName, this._listeners[eventName]);
+        }
+    }
+
+    /**
+     * Call the handler of an event if the plugin can be used in the guild it happened in
+     * @param {string} eventName Name of the Discord event
+     * @param {Function} handler Handler of the plugin
+     * @param {Array} args Arguments given by DiscordJS
+     */
+    async _onEvent(eventName, handler, args) {
+        const discordGuild = supportedEvents[eventName](...args);
+        if (!this._canHandle(discordGuild)) {
+            return;
+        }
+
+        try {
+            await handler(...args, this._plugin.getApiObject());
+        } catch (err) {
+            this._plugin.log("Handler of event **" + eventName + "** failed: " + (err instanceof Error ? err.stack : err));
+            Logger.err(err);
+        }
+    }
+
+    /**
+     * @param {DiscordJS.Guild|undefined|null} discordGuild Guild the event happened in, not set for private channels
+     * @returns {boolean} True if the plugin is enabled, and enabled in the guild if there is one
+     */
+    _canHandle(discordGuild) {
+        if (!this._plugin.enabled) {
+            return false;
+        }
+        if (discordGuild === undefined || discordGuild === null) {
+            return true;
+        }
+
+        // Required here, guild.js requires this module through plugin.js
+        const Guild = require("./guild.js");
+        const guild = Guild.get(discordGuild.id);
+        return guild !== undefined && (guild.enabledPlugins.size === 0 || guild.isPluginEnabled(this._plugin.id));
+    }
+}
+
+module.exports = PluginEvents;
@@ -0,0 +1,132 @@
+const db = require("./../database/crud.js");
+
+/**
+ * Key-value storage of a plugin saved in the database, either global or specific to a guild, a user, or a user in a guild
+ * Values can be anything serializable to JSON, available to plugins as "storage" in their API object
+ */
+class PluginStorage {
+    /**
+     * @class
+     * @param {string} pluginId Id of the plugin owning the storage
+     * @param {string} [discordGuildId=""] Discord guild id the values belong to, empty if they do not belong to a guild
+     * @param {string} [discordUserId=""] Discord user id the values belong to, empty if they do not belong to a user
+     */
+    constructor(pluginId, discordGuildId = "", discordUserId = "") {
+        this._pluginId = pluginId;
+        this._discordGuildId = discordGuildId;
+        this._discordUserId = discordUserId;
+    }
+
+    /**
+     * @returns {string} Id of the plugin owning the storage
+     */
+    get pluginId() {
+        return this._pluginId;
+    }
+
+    /**
+     * @returns {string} Discord guild id the values belong to, empty if they do not belong to a guild
+     */
+    get discordGuildId() {
+        return this._discordGuildId;
+    }
+
+    /**
+     * @returns {string} Discord user id the values belong to, empty if they do not belong to a user
+     */
+    get discordUserId() {
+        return this._discordUserId;
+    }
+
+    /**
+     * @param {string} discordGuildId Discord guild id
+     * @returns {PluginStorage} Storage of the plugin for the guild, and for the user of this storage if it has one
+     */
+    guild(discordGuildId) {
+        return new PluginStorage(this.pluginId, discordGuildId, this.discordUserId);
+    }
+
+    /**
+     * @param {string} discordUserId Discord user id
+     * @returns {PluginStorage} Storage of the plugin for the user, and for the guild of this storage if it has one
+     */
+    user(discordUserId) {
+        return new PluginStorage(this.pluginId, this.discordGuildId, discordUserId);
+    }
+
+    /**
+     * @param {string} key Key of the value
+     * @param {*} [defaultValue=undefined] Value returned if the key is not set
+     * @returns {Promise} resolve(value {*}), reject()
+     */
+    get(key, defaultValue = undefined) {
+        return db.select("PluginStorage", ["value"], this._where(key)).then((rows) => {
+            return rows.length > 0 ? JSON.parse(rows[0].value) : defaultValue;
+        });
+    }
+
+    /**
+     * @param {string} key Key of the value
+     * @param {*} value Value to store, must be serializable to JSON, undefined deletes the key
+     * @returns {Promise} resolve(), reject()
+     */
+    set(key, value) {
+        if (value === undefined) {
+            return this.delete(key);
+        }
+
+        return db.upsert("PluginStorage", Object.assign(this._where(key), {
+            value: JSON.stringify(value)
+        }), ["pluginId", "discordGuildId", "discordUserId", "key"]);
+    }
+
+    /**
+     * @param {string} key Key of the value
+     * @returns {Promise} resolve(), reject()
+     */
+    delete(key) {
+        return db.delete("PluginStorage", this._where(key));
+    }
+
+    /**
+     * @param {string} [prefix=""] Only list the keys starting with it, e.g. "scores."
+     * @returns {Promise} resolve(values {object}) {key => value}, reject()
+     */
+    list(prefix = "") {
+        return db.selectByPrefix("PluginStorage", ["key", "value"], this._where(), "key", prefix).then((rows) => {
+            const values = {};
+            for (let i = 0; i < rows.length; i++) {
+                values[rows[i].key] = JSON.parse(rows[i].value);
+            }
+            return values;
+        });
+    }
+
+    /**
+     * Add a number to a value in a single query, so concurrent calls do not lose increments
+     * @param {string} key Key of the value, starts at 0 if it is not set
+     * @param {number} [amount=1] Number added to the value, negative to decrement it
+     * @returns {Promise} resolve(value {number}) value after the increment, reject()
+     */
+    increment(key, amount = 1) {
+        return db.increment("PluginStorage", "value", amount, this._where(key));
+    }
+
+    /**
+     * @param {string} [key] Key of the value, every key of the storage if not set
+     * @returns {object} {pluginId, discordGuildId, discordUserId, key}
+     */
+    _where(key = undefined) {
+        const where = {
+            pluginId: this.pluginId,
+            discordGuildId: this.discordGuildId,
+            discordUserId: this.discordUserId
+        };
+        if (key !== undefined) {
+            where.key = key;
+        }
+        return where;
+    }
+}
+
+module.exports = PluginStorage;
@@ -2,8 +2,18 @@ const PluginModel = require("./../../shared-models/plugin.js");
 const Command = require("./command.js");
 const db = require("./../database/crud.js");
 const Logger = require("../utils/logger.js");
+const CommandIndex = require("../utils/command-index.js");
+const Scheduler = require("./scheduler.js");
+const Paginator = require("./paginator.js");
+const Conversation = require("./conversation.js");
+const PluginEvents = require("./plugin-events.js");
+const PluginStorage = require("./plugin-storage.js");
 const discordClientProvider = require("./../utils/discord-client-provider.js");
 
+// Tables storing settings or values of a plugin in the "pluginId" column, emptied when the plugin is deleted
+const pluginTables = ["GuildEnabledPlugins", "Permissions", "CommandAliases", "CommandCooldowns", "GuildPluginPrefixes", "PluginChannels",
+    "CommandPermissions", "PluginPriorities", "GuildPluginPriorities", "ScheduledJobs", "PluginStorage"];
+
 /**
  * Server side plugin, contains commands and plugin status info
  */
@@ -17,25 +27,39 @@ class Plugin extends PluginModel {
         this._commands = {
             "command": [],
             "words": [],
+            "regex": [],
             "all": [],
             "reaction": []
         };
 
         this._loadFromFolder(folder);
+        this._scheduler = new Scheduler(this);
+        this._events = new PluginEvents(this, this._eventHandlers);
 
+        let loaded = Promise.resolve();
         const oldVersion = Plugin._plugins[this.id];
         if (oldVersion !== undefined) {
+            oldVersion._scheduler.stop();
+            oldVersion._events.detach();
             this._prefix = oldVersion._prefix;
             this._enabled = oldVersion._enabled;
+            this._hasCustomPriority = oldVersion._hasCustomPriority;
+            if (this._hasCustomPriority) {
+                this._priority = oldVersion._priority;
+            }
         } else {
-            this._loadInfoFromDatabase();
+            loaded = this._loadInfoFromDatabase();
             global.discotron.triggerEvent("plugin-loaded", this.id);
         }
 
+        // Started before onLoad so jobs scheduled by the plugin wait for the saved ones to be loaded
+        this._scheduler.start(loaded);
         if (typeof this._onLoad === "function") {
             this._onLoad(this.getApiObject());
         }
+        this._events.attach();
         Plugin._plugins[this.id] = this;
+        CommandIndex.invalidate();
     }
 
     /**
@@ -46,7 +70,11 @@ class Plugin extends PluginModel {
             discotron: global.discotron,
             discordClient: discordClientProvider.get({allowOffline: true}),
             plugin: this,
-            Logger: Logger
+            Logger: Logger,
+            scheduler: this._scheduler,
+            storage: new PluginStorage(this.id),
+            Paginator: Paginator,
+            Conversation: Conversation
         };
     }
 
@@ -73,26 +101,32 @@ class Plugin extends PluginModel {
         this._defaultPermission = pluginFile.config.defaultPermission;
         this._version = pluginFile.config.version;
         this._onLoad = pluginFile.config.onLoad;
+        this._eventHandlers = pluginFile.config.events;
+        this._defaultPriority = pluginFile.config.priority !== undefined ? pluginFile.config.priority : 0;
+        this._priority = this._defaultPriority;
+        this._hasCustomPriority = false;
         for (let i = 0; i < pluginFile.commands.length; i++) {
-            const command = new Command(pluginFile.commands[i]);
+            const command = new Command(pluginFile.commands[i], this.id);
             this._commands[command.triggerType].push(command);
         }
     }
 
     /**
      * Loads "prefix" and "enabled" from the database, inserts default values if none found
+     * @returns {Promise} resolve() once the plugin is saved in the database, never rejects
      */
     _loadInfoFromDatabase() {
         // default values
         this._prefix = "";
         this._enabled = true;
 
-        db.select("Plugins", ["prefix", "disabled"], {
+        return db.select("Plugins", ["prefix", "disabled"], {
             id: this.id
         }).then((rows) => {
             if (rows.length > 0) {
                 this._prefix = rows[0].prefix;
                 this._enabled = (rows[0].disabled === 0);
+                CommandIndex.invalidate();
             } else {
                 return db.insert("Plugins", {
                     id: this.id,
@@ -100,28 +134,42 @@ class Plugin extends PluginModel {
                     disabled: 0
                 });
             }
+        }).then(() => {
+            return db.select("PluginPriorities", ["priority"], {
+                pluginId: this.id
+            });
+        }).then((rows) => {
+            if (rows.length > 0) {
+                this._priority = rows[0].priority;
+                this._hasCustomPriority = true;
+            }
         }).catch(Logger.err);
     }
 
     /**
-     * Delete this plugin from the database and unload it
+     * Delete this plugin from the database, along with its settings in every guild, its stored values and scheduled jobs, and unload it
      */
     delete() {
+        this._scheduler.stop();
+        this._events.detach();
         delete Plugin._plugins[this.id];
+        CommandIndex.invalidate();
 
-        Promise.all([
-            db.delete("Plugins", {
+        Promise.all(pluginTables.map((table) => db.delete(table, {
+            pluginId: this.id
+        }))).then(() => {
+            return db.delete("Plugins", {
                 id: this.id
-            })
-        ]).then(() => {
+            });
+        }).then(() => {
             global.discotron.triggerEvent("plugin-deleted", this.id);
-        });
+        }).catch(Logger.err);
     }
 
     /**
      * Convert this plugin to an object containing value displayed on the dashboard
      * @param {boolean} [publicInfoOnly=false] If set to false, displays logs as well
-     * @returns {object} {name, id, description, version, commands: [commands.toObject()], defaultPermission, enabled}
+     * @returns {object} {name, id, description, version, commands: [commands.toObject()], defaultPermission, enabled, prefix, priority, defaultPriority}
      */
     toObject(publicInfoOnly = false) {
         const commandObjects = [];
@@ -144,7 +192,9 @@ class Plugin extends PluginModel {
                 commands: commandObjects,
                 defaultPermission: this.defaultPermission,
                 enabled: this.enabled,
-                prefix: this.prefix
+                prefix: this.prefix,
+                priority: this.priority,
+                defaultPriority: this.defaultPriority
             };
         } else {
             return {
@@ -156,6 +206,8 @@ class Plugin extends PluginModel {
                 defaultPermission: this.defaultPermission,
                 enabled: this.enabled,
                 prefix: this.prefix,
+                priority: this.priority,
+                defaultPriority: this.defaultPriority,
                 logs: this.logs
             };
         }
@@ -168,7 +220,7 @@ class Plugin extends PluginModel {
     log(value) {
         const date = new Date();
         const displayedDate = `[${date.toLocaleDateString()} ${date.toLocaleTimeString()}]`;
-        if (typeof this.value === "string") {
+        if (typeof value === "string") {
             this._logs.push(displayedDate + " " + value);
         } else {
             try {
@@ -199,11 +251,19 @@ class Plugin extends PluginModel {
         return super.enabled;
     }
 
+    /**
+     * @returns {Scheduler} Scheduler running the jobs of the plugin
+     */
+    get scheduler() {
+        return this._scheduler;
+    }
+
     /**
      * @param {string} prefix prefix
      */
     set prefix(prefix) {
         this._prefix = prefix;
+        CommandIndex.invalidate();
         db.update("Plugins", {
             prefix: prefix
         }, {
@@ -217,6 +277,37 @@ class Plugin extends PluginModel {
     get prefix() {
         return super.prefix;
     }
+
+    /**
+     * @param {number|null} priority Priority of the plugin for all guilds, null to use the one declared by the plugin
+     */
+    set priority(priority) {
+        const where = {
+            pluginId: this.id
+        };
+        this._hasCustomPriority = priority !== null;
+        this._priority = this._hasCustomPriority ? priority : this._defaultPriority;
+
+        db.delete("PluginPriorities", where).then(() => {
+            if (this._hasCustomPriority) {
+                return db.insert("PluginPriorities", Object.assign({priority: priority}, where));
+            }
+        }).catch(Logger.err);
+    }
+
+    /**
+     * @returns {number} Priority set by the owners, or declared by the plugin
+     */
+    get priority() {
+        return super.priority;
+    }
+
+    /**
+     * @returns {number} Priority declared by the plugin
+     */
+    get defaultPriority() {
+        return this._defaultPriority;
+    }
 }
 
 Plugin._plugins = {};
@@ -42,8 +42,13 @@ class Repository extends RepositoryModel {
         if (fs.existsSync(pluginsPath)) {
             fs.readdirSync(global.discotronConfigPath + "/repositories/" + this._folderName + "/plugins").forEach(file => {
                 Logger.debug("Building Plugin from folder **" + file + "**");
-                const plugin = new Plugin(pluginsPath + "/" + file);
-                this._pluginIds.push(plugin.id);
+                try {
+                    const plugin = new Plugin(pluginsPath + "/" + file);
+                    this._pluginIds.push(plugin.id);
+                } catch (err) {
+                    // An invalid plugin must not prevent the others from loading
+                    Logger.err("Could not load plugin **" + file + "**:", err.message);
+                }
             });
         }
 
@@ -0,0 +1,322 @@
+const uuidv1 = require("uuid/v1");
+const db = require("./../database/crud.js");
+const Logger = require("../utils/logger.js");
+const cron = require("../utils/cron.js");
+const utils = require("../utils/utils.js");
+const discordClientProvider = require("./../utils/discord-client-provider.js");
+
+// Longest delay accepted by setTimeout, later jobs are armed again once it expires
+const maxTimeout = 2147483647;
+
+/**
+ * Runs the jobs scheduled by a plugin, available to plugins as "scheduler" in their API object
+ * Jobs are saved in the database so they survive restarts, handlers are given again to define() every time the plugin is loaded
+ */
+class Scheduler {
+    /**
+     * @class
+     * @param {object} plugin Plugin owning the jobs
+     */
+    constructor(plugin) {
+        this._plugin = plugin;
+        this._handlers = {};
+        this._jobs = {};
+        this._timers = {};
+        this._stopped = false;
+        this._ready = Promise.resolve();
+    }
+
+    /**
+     * Set the function called when the jobs with the given name are due
+     * @param {string} name Name of the jobs
+     * @param {Function} handler Receives ({id, name, discordGuildId, data}, apiObject) as parameters, can be async
+     */
+    define(name, handler) {
+        this._handlers[name] = handler;
+    }
+
+    /**
+     * Save a job and start waiting for it, exactly one of cron, interval and date must be given
+     * @param {object} options Args
+     * @param {string} options.name Name of the job, see define()
+     * @param {string} [options.cron] Cron expression, e.g. "0 9 * * 1-5" or "@daily"
+     * @param {number|string} [options.interval] Seconds between two runs, or a duration such as "1h30m"
+     * @param {Date|number|string} [options.date] Date of the only run
+     * @param {string} [options.discordGuildId=""] Discord id of the guild the job belongs to, empty for a global job
+     * @param {object} [options.data={}] Data given to the handler, must be serializable to JSON
+     * @param {string} [options.id] Id of the job, a job with the same id is replaced, generated if not given
+     * @returns {Promise} resolve(id {string}), reject(error {Error}) if the schedule is not valid
+     */
+    schedule({name, cron = undefined, interval = undefined, date = undefined, discordGuildId = "", data = {}, id = undefined}) {
+        let job;
+        try {
+            job = this._createJob({name, cron, interval, date, discordGuildId, data, id});
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return this._ready.then(() => {
+            return this._delete(job.id);
+        }).then(() => {
+            return db.insert("ScheduledJobs", {
+                id: job.id,
+                pluginId: this._plugin.id,
+                name: job.name,
+                discordGuildId: job.discordGuildId,
+                type: job.type,
+                schedule: job.schedule,
+                data: JSON.stringify(job.data),
+                nextRun: job.nextRun
+            });
+        }).then(() => {
+            this._jobs[job.id] = job;
+            this._arm(job);
+            return job.id;
+        });
+    }
+
+    /**
+     * Remove a job, it will not run anymore
+     * @param {string} id Id of the job
+     * @returns {Promise} resolve(), reject()
+     */
+    cancel(id) {
+        return this._ready.then(() => {
+            return this._delete(id);
+        });
+    }
+
+    /**
+     * @param {string} [discordGuildId] Only list the jobs of this guild, "" for the global ones, every job if not set
+     * @returns {Array} {id, name, discordGuildId, type, schedule, data, nextRun} of the jobs, nextRun being a timestamp in milliseconds
+     */
+    list(discordGuildId = undefined) {
+        const jobs = [];
+        for (const id in this._jobs) {
+            const job = this._jobs[id];
+            if (discordGuildId === undefined || job.discordGuildId === discordGuildId) {
+                jobs.push(Object.assign({}, job));
+            }
+        }
+        return jobs.sort((a, b) => a.nextRun - b.nextRun);
+    }
+
+    /**
+     * Load the jobs of the plugin from the database and wait for them
+     * One-shot jobs missed while the bot was offline run immediately, recurring ones wait for their next run
+     * @param {Promise} [pluginLoaded=Promise.resolve()] Resolves once the plugin is saved in the database
+     */
+    start(pluginLoaded = Promise.resolve()) {
+        this._ready = pluginLoaded.then(() => {
+            return db.select("ScheduledJobs", ["id", "name", "discordGuildId", "type", "schedule", "data", "nextRun"], {
+                pluginId: this._plugin.id
+            });
+        }).then((rows) => {
+            for (let i = 0; i < rows.length; i++) {
+                const job = Object.assign({}, rows[i], {
+                    data: JSON.parse(rows[i].data)
+                });
+                if (job.type !== "date" && job.nextRun < Date.now()) {
+                    job.nextRun = Scheduler._getNextRun(job.type, job.schedule, Date.now());
+                }
+                this._jobs[job.id] = job;
+                this._arm(job);
+            }
+        }).catch(Logger.err);
+    }
+
+    /**
+     * Stop waiting for the jobs, must be called when the plugin is unloaded
+     * Jobs stay in the database and are loaded again with the plugin
+     */
+    stop() {
+        this._stopped = true;
+        for (const id in this._timers) {
+            clearTimeout(this._timers[id]);
+        }
+        this._timers = {};
+    }
+
+    /**
+     * @param {object} options See schedule()
+     * @returns {object} {id, name, discordGuildId, type, schedule, data, nextRun}
+     * @throws {Error} If the schedule is not valid
+     */
+    _createJob({name, cron, interval, date, discordGuildId, data, id}) {
+        const schedules = [cron, interval, date].filter((value) => value !== undefined);
+        if (schedules.length !== 1) {
+            throw new Error("A job needs exactly one of cron, interval and date");
+        }
+
+        let type;
+        let schedule;
+        if (cron !== undefined) {
+            type = "cron";
+            schedule = cron;
+        } else if (interval !== undefined) {
+            type = "interval";
+            schedule = String(typeof interval === "number" ? interval : utils.parseDuration(interval));
+            if (!(parseFloat(schedule) > 0)) {
+                throw new Error("Invalid interval **" + interval + "**");
+            }
+        } else {
+            type = "date";
+            schedule = String(new Date(date).getTime());
+            if (isNaN(parseInt(schedule, 10))) {
+                throw new Error("Invalid date **" + date + "**");
+            }
+        }
+
+        const nextRun = Scheduler._getNextRun(type, schedule, Date.now());
+        if (nextRun === null) {
+            throw new Error("The cron expression **" + cron + "** never matches");
+        }
+
+        return {
+            id: id !== undefined ? id : uuidv1(),
+            name: name,
+            discordGuildId: discordGuildId,
+            type: type,
+            schedule: schedule,
+            data: data,
+            nextRun: nextRun
+        };
+    }
+
+    /**
+     * @static
+     * @param {string} type "cron", "interval" or "date"
+     * @param {string} schedule Cron expression, seconds between two runs or timestamp of the run
+     * @param {number} after Timestamp after which the job must run
+     * @returns {number|null} Timestamp of the next run, null if a cron expression never matches
+     * @throws {Error} If the cron expression is not valid
+     */
+    static _getNextRun(type, schedule, after) {
+        switch (type) {
+            case "cron": {
+                const date = cron.getNextDate(schedule, new Date(after));
+                return date !== null ? date.getTime() : null;
+            }
+            case "interval":
+                return after + parseFloat(schedule) * 1000;
+            default:
+                return parseInt(schedule, 10);
+        }
+    }
+
+    /**
+     * @param {object} job Job to wait for
+     */
+    _arm(job) {
+        clearTimeout(this._timers[job.id]);
+        if (this._stopped || this._jobs[job.id] !== job) {
+            return;
+        }
+
+        const delay = Math.max(0, job.nextRun - Date.now());
+        this._timers[job.id] = setTimeout(() => {
+            if (delay > maxTimeout) {
+                this._arm(job);
+            } else {
+                this._run(job);
+            }
+        }, Math.min(delay, maxTimeout));
+    }
+
+    /**
+     * Call the handler of a job, then wait for its next run or delete it if it was a one-shot job
+     * @param {object} job Job to run
+     * @returns {Promise} resolve() once the job is run and saved, never rejects
+     */
+    async _run(job) {
+        delete this._timers[job.id];
+
+        const discordClient = discordClientProvider.get({allowOffline: true});
+        if (discordClient.uptime === null) {
+            // Jobs missed while the bot was offline are due before it is logged in
+            discordClient.once("ready", () => this._arm(job));
+            return;
+        }
+
+        if (this._canRun(job)) {
+            try {
+                await this._handlers[job.name]({
+                    id: job.id,
+                    name: job.name,
+                    discordGuildId: job.discordGuildId,
+                    data: job.data
+                }, this._plugin.getApiObject());
+            } catch (err) {
+                this._plugin.log("Scheduled job **" + job.name + "** failed: " + (err instanceof Error ? err.stack : err));
+                Logger.err(err);
+            }
+        }
+
+        if (this._jobs[job.id] !== job) {
+            // Cancelled or replaced while running
+            return;
+        }
+
+        try {
+            if (job.type === "date") {
+                await this._delete(job.id);
+                return;
+            }
+
+            job.nextRun = Scheduler._getNextRun(job.type, job.schedule, Date.now());
+            await db.update("ScheduledJobs", {
+                nextRun: job.nextRun
+            }, {
+                id: job.id,
+                pluginId: this._plugin.id
+            });
+            this._arm(job);
+        } catch (err) {
+            Logger.err(err);
+        }
+    }
+
+    /**
+     * @param {object} job Job that is due
+     * @returns {boolean} True if the handler of the job is defined and the plugin can be used where the job belongs, jobs of guilds the bot left are cancelled
+     */
+    _canRun(job) {
+        if (this._handlers[job.name] === undefined) {
+            Logger.warn("No handler defined for the scheduled job **" + job.name + "** of plugin **" + this._plugin.id + "**");
+            return false;
+        }
+        if (!this._plugin.enabled) {
+            return false;
+        }
+        if (job.discordGuildId === "") {
+            return true;
+        }
+
+        // Required here, guild.js requires this module through plugin.js
+        const Guild = require("./guild.js");
+        const guild = Guild.get(job.discordGuildId);
+        if (guild === undefined) {
+            // The bot left the guild, the job will never be able to run
+            this._delete(job.id).catch(Logger.err);
+            return false;
+        }
+        return guild.enabledPlugins.size === 0 || guild.isPluginEnabled(this._plugin.id);
+    }
+
+    /**
+     * @param {string} id Id of the job
+     * @returns {Promise} resolve() once the job is removed from the database, reject()
+     */
+    _delete(id) {
+        clearTimeout(this._timers[id]);
+        delete this._timers[id];
+        delete this._jobs[id];
+
+        return db.delete("ScheduledJobs", {
+            id: id,
+            pluginId: this._plugin.id
+        });
+    }
+}
+
+module.exports = Scheduler;
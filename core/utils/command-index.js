@@ -0,0 +1,113 @@
+/**
+ * Finds the commands triggered by a message without testing every command of every plugin
+ * Full triggers (guild prefix, plugin prefix and trigger or alias) are stored in a trie, one index is built per guild
+ */
+class CommandIndex {
+    /**
+     * @class
+     * @param {object} plugins {plugin id => plugin} plugins whose commands are indexed
+     * @param {object} [guild] Discotron guild whose prefixes and aliases are used, undefined for private messages
+     */
+    constructor(plugins, guild = undefined) {
+        this._root = CommandIndex._createNode();
+
+        for (const pluginId in plugins) {
+            const plugin = plugins[pluginId];
+            const prefix = guild !== undefined ? guild.commandPrefix + guild.getPluginPrefix(pluginId, plugin.prefix) : plugin.prefix;
+
+            for (let i = 0; i < plugin.commands.command.length; i++) {
+                const command = plugin.commands.command[i];
+                const triggers = new Set(command.getTriggers(guild));
+                triggers.forEach((trigger) => {
+                    this._add(prefix + trigger, {
+                        pluginId: pluginId,
+                        command: command
+                    });
+                });
+            }
+        }
+    }
+
+    /**
+     * @static
+     * @param {object} plugins {plugin id => plugin} loaded plugins
+     * @param {object} [guild] Discotron guild in which the message was sent, undefined in private messages
+     * @returns {CommandIndex} Index of the guild, built if it was invalidated
+     */
+    static get(plugins, guild = undefined) {
+        const id = guild !== undefined ? guild.discordId : "";
+        if (CommandIndex._indexes[id] === undefined) {
+            CommandIndex._indexes[id] = new CommandIndex(plugins, guild);
+        }
+        return CommandIndex._indexes[id];
+    }
+
+    /**
+     * Must be called when plugins, prefixes or aliases change, the index will be built again on the next message
+     * @static
+     * @param {string} [discordGuildId] Discord id of the guild whose settings changed, every index is invalidated if not set
+     */
+    static invalidate(discordGuildId = undefined) {
+        if (discordGuildId === undefined) {
+            CommandIndex._indexes = {};
+        } else {
+            delete CommandIndex._indexes[discordGuildId];
+        }
+    }
+
+    /**
+     * @param {string} loweredCaseMessage Message converted to lower case
+     * @returns {object} {plugin id => [commands]} commands whose full trigger starts the message and is followed by a space or its end
+     */
+    find(loweredCaseMessage) {
+        const found = {};
+        let node = this._root;
+
+        for (let i = 0; i <= loweredCaseMessage.length && node !== undefined; i++) {
+            if (node.entries.length > 0 && (i === loweredCaseMessage.length || /\s/.test(loweredCaseMessage[i]))) {
+                for (let j = 0; j < node.entries.length; j++) {
+                    const entry = node.entries[j];
+                    if (found[entry.pluginId] === undefined) {
+                        found[entry.pluginId] = [];
+                    }
+                    if (!found[entry.pluginId].includes(entry.command)) {
+                        found[entry.pluginId].push(entry.command);
+                    }
+                }
+            }
+            node = node.children.get(loweredCaseMessage[i]);
+        }
+
+        return found;
+    }
+
+    /**
+     * @param {string} fullTrigger Text a message must start with to trigger the command
+     * @param {object} entry {pluginId, command}
+     */
+    _add(fullTrigger, entry) {
+        let node = this._root;
+        for (let i = 0; i < fullTrigger.length; i++) {
+            const character = fullTrigger[i];
+            if (!node.children.has(character)) {
+                node.children.set(character, CommandIndex._createNode());
+            }
+            node = node.children.get(character);
+        }
+        node.entries.push(entry);
+    }
+
+    /**
+     * @static
+     * @returns {object} {children: Map(character => node), entries: [{pluginId, command}]}
+     */
+    static _createNode() {
+        return {
+            children: new Map(),
+            entries: []
+        };
+    }
+}
+
+CommandIndex._indexes = {};
+module.exports = CommandIndex;
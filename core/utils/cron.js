@@ -0,0 +1,139 @@
+/**
+ * Parses cron expressions and computes their next occurrence, in the local time of the server
+ * Expressions have 5 fields: minute hour day-of-month month day-of-week, e.g. "30 8 * * 1-5"
+ * Fields accept "*", numbers, ranges "1-5", lists "1,15" and steps "0-30/10", a step after "*" applies to the whole range
+ */
+
+const fields = [
+    {name: "minute", min: 0, max: 59},
+    {name: "hour", min: 0, max: 23},
+    {name: "day of month", min: 1, max: 31},
+    {name: "month", min: 1, max: 12},
+    {name: "day of week", min: 0, max: 7}
+];
+
+const macros = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *"
+};
+
+// Expressions such as "0 0 31 2 *" never match, stop looking after that many years
+const maxYears = 5;
+
+/**
+ * @param {string} text Field of the expression
+ * @param {object} field {name, min, max}
+ * @returns {Set} Values matched by the field
+ */
+function parseField(text, field) {
+    const values = new Set();
+    const parts = text.split(",");
+
+    for (let i = 0; i < parts.length; i++) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(parts[i]);
+        if (match === null) {
+            throw new Error("Invalid " + field.name + " **" + parts[i] + "** in cron expression");
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (match[1] !== "*") {
+            start = parseInt(match[2], 10);
+            end = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] !== undefined ? field.max : start);
+        }
+        const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+        if (start < field.min || end > field.max || start > end || step < 1) {
+            throw new Error("Invalid " + field.name + " **" + parts[i] + "** in cron expression, values go from " + field.min + " to " + field.max);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * @param {string} expression Cron expression, or one of @yearly, @monthly, @weekly, @daily, @hourly
+ * @returns {object} {minutes, hours, days, months, weekdays} sets of matched values, plus whether days and weekdays are restricted
+ * @throws {Error} If the expression is not valid
+ */
+module.exports.parse = (expression) => {
+    const trimmedExpression = expression.trim().toLowerCase();
+    const parts = (macros[trimmedExpression] || trimmedExpression).split(/\s+/);
+    if (parts.length !== fields.length) {
+        throw new Error("Invalid cron expression **" + expression + "**, expected 5 fields: minute hour day-of-month month day-of-week");
+    }
+
+    const sets = parts.map((part, i) => parseField(part, fields[i]));
+    // Both 0 and 7 are sunday
+    if (sets[4].has(7)) {
+        sets[4].add(0);
+    }
+
+    return {
+        minutes: sets[0],
+        hours: sets[1],
+        days: sets[2],
+        months: sets[3],
+        weekdays: sets[4],
+        daysRestricted: parts[2] !== "*",
+        weekdaysRestricted: parts[4] !== "*"
+    };
+};
+
+/**
+ * @param {object} schedule Parsed expression
+ * @param {Date} date Date to test
+ * @returns {boolean} True if the day of the date is matched, days of month and of week are alternatives when both are restricted
+ */
+function matchesDay(schedule, date) {
+    const dayMatches = schedule.days.has(date.getDate());
+    const weekdayMatches = schedule.weekdays.has(date.getDay());
+    if (schedule.daysRestricted && schedule.weekdaysRestricted) {
+        return dayMatches || weekdayMatches;
+    }
+    return dayMatches && weekdayMatches;
+}
+
+/**
+ * @param {string} expression Cron expression
+ * @param {Date} [after=new Date()] The occurrence must be strictly after this date
+ * @returns {Date|null} Next date matching the expression, null if none is found in the next years
+ * @throws {Error} If the expression is not valid
+ */
+module.exports.getNextDate = (expression, after = new Date()) => {
+    const schedule = module.exports.parse(expression);
+
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + maxYears);
+
+    while (date < limit) {
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!schedule.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+};
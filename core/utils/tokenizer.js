@@ -0,0 +1,81 @@
+/**
+ * Split command input into tokens, shell style
+ */
+
+/**
+ * Split a text into tokens separated by whitespace (including new lines).
+ * Double or single quotes starting a token group words together, quotes inside a word are kept, a backslash escapes the next character.
+ * e.g. `!say "hello world" it's me` gives ["!say", "hello world", "it's", "me"]
+ * @param {string} text Text to split
+ * @returns {Array<object>} List of {value, start, end, quoted} where value is the unquoted text of the token,
+ *  start and end are its position in the given text and quoted is true if the token starts with a quote
+ */
+module.exports.tokenize = (text) => {
+    const tokens = [];
+    let token;
+    let quote;
+
+    for (let i = 0; i < text.length; ++i) {
+        const character = text[i];
+
+        if (token === undefined) {
+            if (/\s/.test(character)) {
+                continue;
+            }
+            token = {
+                value: "",
+                start: i,
+                end: i,
+                quoted: character === "\"" || character === "'"
+            };
+        }
+
+        if (character === "\\" && i + 1 < text.length) {
+            token.value += text[++i];
+        } else if (quote !== undefined) {
+            if (character === quote) {
+                quote = undefined;
+            } else {
+                token.value += character;
+            }
+        } else if ((character === "\"" || character === "'") && i === token.start) {
+            quote = character;
+        } else if (/\s/.test(character)) {
+            tokens.push(token);
+            token = undefined;
+            continue;
+        } else {
+            token.value += character;
+        }
+
+        token.end = i + 1;
+    }
+
+    // An unterminated quote eats the rest of the text
+    if (token !== undefined) {
+        tokens.push(token);
+    }
+
+    return tokens;
+};
+
+/**
+ * Read a named option from a token
+ * @param {object} token Token returned by tokenize
+ * @returns {object|null} {name, value} for "--name=value", {name, value: undefined} for "--name", null if the token is not an option
+ */
+module.exports.parseOption = (token) => {
+    if (token.quoted) {
+        return null;
+    }
+
+    const match = /^--([a-zA-Z][\w-]*)(?:=([\s\S]*))?$/.exec(token.value);
+    if (match === null) {
+        return null;
+    }
+
+    return {
+        name: match[1],
+        value: match[2]
+    };
+};
@@ -5,4 +5,85 @@
  */
 module.exports.isEmpty = (object) => {
     return Object.entries(object).length === 0 && object.constructor === Object;
-};
\ No newline at end of file
+};
+
+const durationUnits = {
+    s: 1,
+    m: 60,
+    h: 60 * 60,
+    d: 24 * 60 * 60,
+    w: 7 * 24 * 60 * 60
+};
+
+/**
+ * Parse a duration such as "90", "45s", "1h30m" or "2d"
+ * A number without unit is read as seconds
+ * @param {string} text Text to parse
+ * @returns {number} Duration in seconds, NaN if the text is not a valid duration
+ */
+module.exports.parseDuration = (text) => {
+    const trimmedText = text.trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(trimmedText)) {
+        return parseFloat(trimmedText);
+    }
+
+    if (!/^(\d+(\.\d+)?[smhdw])+$/.test(trimmedText)) {
+        return NaN;
+    }
+
+    let seconds = 0;
+    const parts = trimmedText.match(/\d+(\.\d+)?[smhdw]/g);
+    for (let i = 0; i < parts.length; ++i) {
+        const part = parts[i];
+        seconds += parseFloat(part) * durationUnits[part[part.length - 1]];
+    }
+    return seconds;
+};
+
+/**
+ * Format a duration for humans, e.g. 5430 gives "1h 30m 30s"
+ * @param {number} seconds Duration in seconds
+ * @returns {string} Formatted duration
+ */
+module.exports.formatDuration = (seconds) => {
+    seconds = Math.round(seconds);
+    if (seconds <= 0) {
+        return "0s";
+    }
+
+    const parts = [];
+    const units = ["d", "h", "m", "s"];
+    for (let i = 0; i < units.length; ++i) {
+        const unit = units[i];
+        const count = Math.floor(seconds / durationUnits[unit]);
+        if (count > 0) {
+            parts.push(count + unit);
+            seconds -= count * durationUnits[unit];
+        }
+    }
+    return parts.join(" ");
+};
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Minimum number of insertions, deletions and substitutions to turn a into b
+ */
+module.exports.editDistance = (a, b) => {
+    let previousRow = [];
+    for (let j = 0; j <= b.length; ++j) {
+        previousRow.push(j);
+    }
+
+    for (let i = 1; i <= a.length; ++i) {
+        const row = [i];
+        for (let j = 1; j <= b.length; ++j) {
+            const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + substitutionCost));
+        }
+        previousRow = row;
+    }
+
+    return previousRow[b.length];
+};
@@ -2,6 +2,7 @@ const webAPI = require("../api.js").getWebAPI("discotron-dashboard");
 const Logger = require("../../../core/utils/logger.js");
 const discordClientProvider = require("../../../core/utils/discord-client-provider.js");
 const { getBotSettings, getUserInfo } = require("../../../core/discotron.js");
+const interactions = require("../../../core/interactions.js");
 
 webAPI.registerAction("set-bot-config", (data, reply) => {
     if (data === undefined) {
@@ -23,6 +24,10 @@ webAPI.registerAction("set-bot-config", (data, reply) => {
         botSettings.presenceText = data.presenceText;
     }
 
+    if (data.welcomeMessage !== undefined) {
+        botSettings.welcomeMessage = data.welcomeMessage;
+    }
+
     reply();
 }, "owner");
 
@@ -33,6 +38,7 @@ webAPI.registerAction("get-bot-config", (data, reply) => {
         helpText: botSettings.helpText,
         presenceText: botSettings.presenceText,
         maintenance: botSettings.maintenance,
+        welcomeMessage: botSettings.welcomeMessage,
         status: discordClientProvider.get().status
     });
 }, "owner");
@@ -49,6 +55,15 @@ webAPI.registerAction("restart-bot", async (data, reply) => {
     }
 }, "owner");
 
+webAPI.registerAction("sync-application-commands", (data, reply) => {
+    interactions.syncApplicationCommands().then((count) => {
+        reply(count);
+    }).catch((err) => {
+        Logger.err("Could not register the application commands", err);
+        reply(false);
+    });
+}, "owner");
+
 webAPI.registerAction("get-bot-info", (data, reply) => {
     const discordClient = discordClientProvider.get();
     if (discordClient.user !== null) {
@@ -0,0 +1,132 @@
+const webAPI = require("../../api.js").getWebAPI("discotron-dashboard");
+const Guild = require("../../../../core/models/guild.js");
+const Plugin = require("../../../../core/models/plugin.js");
+const UserRole = require("../../../../core/models/user-role.js");
+
+/**
+ * @param {object} guild Discotron guild
+ * @param {string} pluginId Id of the plugin of the command
+ * @param {string} commandKey Key of the command receiving the aliases
+ * @param {*} aliases Value sent by the dashboard
+ * @returns {boolean} True if aliases is an array of words that do not trigger another command of the guild
+ */
+function areValidAliases(guild, pluginId, commandKey, aliases) {
+    const plugins = Plugin.getAll();
+    if (!Array.isArray(aliases) || plugins[pluginId] === undefined) {
+        return false;
+    }
+    const command = findCommand(plugins[pluginId].commands.command, commandKey);
+    if (command === undefined) {
+        return false;
+    }
+    if (!aliases.every((alias) => typeof alias === "string" && /^\S+$/.test(alias))) {
+        return false;
+    }
+
+    // Subcommands are typed after their parent, only their siblings can clash with them
+    if (command.parent !== undefined) {
+        const siblingTriggers = new Set();
+        command.parent.subcommands.forEach((subcommand) => {
+            if (subcommand !== command) {
+                subcommand.getTriggers(guild).forEach((trigger) => siblingTriggers.add(trigger.toLowerCase()));
+            }
+        });
+        return aliases.every((alias) => !siblingTriggers.has(alias.toLowerCase()));
+    }
+
+    // Full triggers of the other commands, as typed after the guild prefix
+    const usedTriggers = new Set();
+    for (const id in plugins) {
+        const prefix = guild.getPluginPrefix(id, plugins[id].prefix);
+        plugins[id].commands.command.forEach((command) => {
+            if (id !== pluginId || command.key !== commandKey) {
+                command.getTriggers(guild).forEach((trigger) => usedTriggers.add(prefix + trigger));
+            }
+        });
+    }
+
+    const prefix = guild.getPluginPrefix(pluginId, plugins[pluginId].prefix);
+    return aliases.every((alias) => !usedTriggers.has(prefix + alias.toLowerCase()));
+}
+
+/**
+ * @param {Array} commands Commands to search, along with their subcommands
+ * @param {string} commandKey Key of the command, e.g. "playlist add" for a subcommand
+ * @returns {object|undefined} The command having the key
+ */
+function findCommand(commands, commandKey) {
+    for (let i = 0; i < commands.length; i++) {
+        const found = commands[i].key === commandKey ? commands[i] : findCommand(commands[i].subcommands, commandKey);
+        if (found !== undefined) {
+            return found;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * @param {string} pluginId Id of the plugin
+ * @param {string} commandKey Key of a command or subcommand of any trigger type
+ * @returns {boolean} True if the plugin is loaded and has the command
+ */
+function hasCommand(pluginId, commandKey) {
+    const plugin = Plugin.getAll()[pluginId];
+    if (plugin === undefined) {
+        return false;
+    }
+
+    for (const type in plugin.commands) {
+        if (findCommand(plugin.commands[type], commandKey) !== undefined) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {*} cooldown Value sent by the dashboard
+ * @returns {boolean} True if cooldown is null or {scope, duration, charges} with a known scope, a duration of at least 0 seconds and at least one charge
+ */
+function isValidCooldown(cooldown) {
+    if (cooldown === null) {
+        return true;
+    }
+    if (typeof cooldown !== "object" || cooldown === undefined || !["user", "channel", "guild"].includes(cooldown.scope)) {
+        return false;
+    }
+    return typeof cooldown.duration === "number" && isFinite(cooldown.duration) && cooldown.duration >= 0 &&
+        Number.isInteger(cooldown.charges) && cooldown.charges >= 1;
+}
+
+webAPI.registerAction("get-command-aliases", (data, reply, discordUserId, discordGuildId) => {
+    reply(Guild.get(discordGuildId).getCommandAliases(data.pluginId, data.commandKey));
+}, "guildAdmin");
+
+webAPI.registerAction("set-command-aliases", (data, reply, discordUserId, discordGuildId) => {
+    const guild = Guild.get(discordGuildId);
+    if (!areValidAliases(guild, data.pluginId, data.commandKey, data.aliases)) {
+        reply(false);
+        return;
+    }
+
+    guild.setCommandAliases(data.pluginId, data.commandKey, data.aliases);
+    reply();
+}, "guildAdmin");
+
+webAPI.registerAction("set-command-cooldown", (data, reply, discordUserId, discordGuildId) => {
+    if (!hasCommand(data.pluginId, data.commandKey) || !isValidCooldown(data.cooldown)) {
+        reply(false);
+        return;
+    }
+
+    Guild.get(discordGuildId).setCommandCooldown(data.pluginId, data.commandKey, data.cooldown);
+    reply();
+}, "guildAdmin");
+
+webAPI.registerAction("set-command-permission", (data, reply, discordUserId, discordGuildId) => {
+    const usersRoles = data.userRoles.map((ur) => {
+        return new UserRole(ur._discordUserId, ur._discordRoleId, discordGuildId);
+    });
+    Guild.get(discordGuildId).setCommandPermission(data.pluginId, data.commandKey, usersRoles);
+    reply();
+}, "guildAdmin");
@@ -1,6 +1,30 @@
 const webAPI = require("../../api.js").getWebAPI("discotron-dashboard");
 const Guild = require("../../../../core/models/guild.js");
+const Plugin = require("../../../../core/models/plugin.js");
 const UserRole = require("../../../../core/models/user-role.js");
+const discordClientProvider = require("../../../../core/utils/discord-client-provider.js");
+
+/**
+ * @param {string} discordGuildId Discord guild id
+ * @param {*} channelIds Value sent by the dashboard
+ * @returns {boolean} True if channelIds is an array of ids of channels or categories of the guild
+ */
+function areGuildChannels(discordGuildId, channelIds) {
+    const discordGuild = discordClientProvider.get().guilds.get(discordGuildId);
+    return Array.isArray(channelIds) && discordGuild !== undefined && channelIds.every((id) => discordGuild.channels.has(id));
+}
+
+/**
+ * @param {*} priorities Value sent by the dashboard
+ * @returns {boolean} True if priorities is an object binding ids of loaded plugins to integers
+ */
+function areValidPriorities(priorities) {
+    if (typeof priorities !== "object" || priorities === null || Array.isArray(priorities)) {
+        return false;
+    }
+    const plugins = Plugin.getAll();
+    return Object.keys(priorities).every((pluginId) => plugins[pluginId] !== undefined && Number.isInteger(priorities[pluginId]));
+}
 
 webAPI.registerAction("get-plugin-enabled", (data, reply, discordUserId, discordGuildId) => {
     reply(Guild.get(discordGuildId).isPluginEnabled(data.pluginId));
@@ -22,3 +46,34 @@ webAPI.registerAction("set-plugin-permission", (data, reply, discordUserId, disc
     Guild.get(discordGuildId).setPluginPermission(data.pluginId, usersRoles);
     reply();
 }, "guildAdmin");
+
+webAPI.registerAction("set-plugin-prefix-override", (data, reply, discordUserId, discordGuildId) => {
+    // Triggers are looked up in lower case, a prefix cannot contain spaces since it is typed before the trigger
+    if (Plugin.getAll()[data.pluginId] === undefined || (data.prefix !== null && (typeof data.prefix !== "string" || /\s/.test(data.prefix)))) {
+        reply(false);
+        return;
+    }
+
+    Guild.get(discordGuildId).setPluginPrefix(data.pluginId, data.prefix !== null ? data.prefix.toLowerCase() : null);
+    reply();
+}, "guildAdmin");
+
+webAPI.registerAction("set-plugin-channels", (data, reply, discordUserId, discordGuildId) => {
+    if (Plugin.getAll()[data.pluginId] === undefined || !areGuildChannels(discordGuildId, data.allowedChannelIds) || !areGuildChannels(discordGuildId, data.deniedChannelIds)) {
+        reply(false);
+        return;
+    }
+
+    Guild.get(discordGuildId).setPluginChannels(data.pluginId, data.allowedChannelIds, data.deniedChannelIds);
+    reply();
+}, "guildAdmin");
+
+webAPI.registerAction("set-plugin-priorities", (data, reply, discordUserId, discordGuildId) => {
+    if (!areValidPriorities(data.priorities)) {
+        reply(false);
+        return;
+    }
+
+    Guild.get(discordGuildId).setPluginPriorities(data.priorities);
+    reply();
+}, "guildAdmin");
@@ -0,0 +1,12 @@
+const webAPI = require("../../api.js").getWebAPI("discotron-dashboard");
+const Guild = require("../../../../core/models/guild.js");
+
+webAPI.registerAction("set-guild-suggest-commands", (data, reply, discordUserId, discordGuildId) => {
+    Guild.get(discordGuildId).suggestCommands = data.suggestCommands === true;
+    reply();
+}, "guildAdmin");
+
+webAPI.registerAction("set-guild-mention-prefix", (data, reply, discordUserId, discordGuildId) => {
+    Guild.get(discordGuildId).mentionPrefix = data.mentionPrefix === true;
+    reply();
+}, "guildAdmin");
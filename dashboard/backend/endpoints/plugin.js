@@ -40,3 +40,13 @@ webAPI.registerAction("set-plugin-prefix", (data, reply) => {
     Plugin._plugins[data.pluginId].prefix = data.prefix;
     reply();
 }, "owner");
+
+webAPI.registerAction("set-plugin-priority", (data, reply) => {
+    if (Plugin._plugins[data.pluginId] === undefined || (data.priority !== null && !Number.isInteger(data.priority))) {
+        reply(false);
+        return;
+    }
+
+    Plugin._plugins[data.pluginId].priority = data.priority;
+    reply();
+}, "owner");
@@ -0,0 +1,6 @@
+const webAPI = require("../../api.js").getWebAPI("discotron-dashboard");
+const Plugin = require("../../../../core/models/plugin.js");
+
+webAPI.registerAction("get-scheduled-jobs", (data, reply) => {
+    reply(Plugin._plugins[data.pluginId].scheduler.list());
+}, "owner");
@@ -7,6 +7,7 @@ const https = require("https");
 const config = require("../config.json");
 const Logger = require("../../core/utils/logger.js");
 const webAPI = require("./api.js");
+const interactions = require("../../core/interactions.js");
 
 const appConfig = require(global.discotronConfigPath + "/bot.json");
 
@@ -25,6 +26,13 @@ module.exports.serveDashboard = () => {
     });
 };
 
+/**
+ * @returns {string} URL of the dashboard, on the domain and port given to Discord as redirection URL
+ */
+module.exports.getDashboardURL = () => {
+    return new URL("/dashboard/", appConfig.redirectURI).href;
+};
+
 /**
  * Serve pages from a repository
  * @param {string} folderName Name of the folder in the repository
@@ -39,11 +47,17 @@ module.exports.serveRepositoryFolder = (folderName, repositoryFolderName) => {
 };
 
 /**
- * Serve API pages
+ * Serve API pages and the interactions endpoint used by Discord
  */
 module.exports.startAPIServer = () => {
-    app.use(express.json());
+    app.use(express.json({
+        // Signatures of interactions are computed on the body as sent
+        verify: (req, res, buffer) => {
+            req.rawBody = buffer;
+        }
+    }));
     app.post("/api", webAPI.onPost);
+    app.post("/interactions", interactions.onPost);
 };
 
 let server;
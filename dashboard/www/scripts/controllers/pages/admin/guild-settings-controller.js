@@ -22,6 +22,8 @@ window.discotron.GuildSettingsController = class extends window.discotron.Contro
 
                 this._displayHeader();
                 this._displayPrefix();
+                this._displaySuggestCommands();
+                this._displayMentionPrefix();
             }).catch(console.error);
             this._addEvents();
         });
@@ -43,6 +45,20 @@ window.discotron.GuildSettingsController = class extends window.discotron.Contro
         document.getElementById("prefix").value = this._guild.prefix;
     }
 
+    /**
+     * Displays the form entry concerning command suggestions
+     */
+    _displaySuggestCommands() {
+        document.getElementById("suggest-commands").checked = this._guild.suggestCommands;
+    }
+
+    /**
+     * Displays the form entry concerning the bot mention prefix
+     */
+    _displayMentionPrefix() {
+        document.getElementById("mention-prefix").checked = this._guild.mentionPrefix;
+    }
+
     /**
      * Add events to the widget
      */
@@ -54,9 +70,19 @@ window.discotron.GuildSettingsController = class extends window.discotron.Contro
             }
         };
 
+        document.getElementById("suggest-commands").onchange = () => {
+            document.getElementById("save").disabled = false;
+        };
+
+        document.getElementById("mention-prefix").onchange = () => {
+            document.getElementById("save").disabled = false;
+        };
+
         document.getElementById("save").onclick = () => {
             document.getElementById("save").disabled = true;
             this._guild.prefix = document.getElementById("prefix").value;
+            this._guild.suggestCommands = document.getElementById("suggest-commands").checked;
+            this._guild.mentionPrefix = document.getElementById("mention-prefix").checked;
         };
 
         document.getElementById("channel-locking").onclick = () => {
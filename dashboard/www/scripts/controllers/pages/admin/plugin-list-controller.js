@@ -44,12 +44,20 @@ window.discotron.PluginListController = class extends window.discotron.Controlle
 
         // Query cards
         discotron.Plugin.getAll().then((plugins) => {
+            document.getElementById("reset-plugin-order").onclick = () => {
+                this._guild.setPluginPriorities({});
+                document.getElementById("plugin-container").innerHTML = "";
+                this._displayPlugins();
+            };
 
-            for (const pluginId in plugins) {
+            const pluginIds = this._sortByPriority(plugins);
+            for (let i = 0; i < pluginIds.length; i++) {
+                const pluginId = pluginIds[i];
                 const plugin = plugins[pluginId];
 
                 const template = document.getElementById("template-card");
                 const card = document.importNode(template.content, true);
+                card.querySelector(".repository-card").dataset.pluginId = pluginId;
 
                 card.querySelector(".repository-card-title").textContent = plugin.name;
                 card.querySelector(".repository-card-description").textContent = plugin.description;
@@ -63,6 +71,12 @@ window.discotron.PluginListController = class extends window.discotron.Controlle
                         onUserRoleSave: (userRoles, settings) => {
                             this._guild.setPluginEnabled(pluginId, settings.enabled);
                             this._guild.setPluginPermission(pluginId, userRoles);
+                            return this._guild.setPluginPrefix(pluginId, settings.customPrefix ? settings.prefix : null).then((accepted) => {
+                                if (!accepted) {
+                                    alert("The custom prefix was refused, it cannot contain spaces.");
+                                }
+                                return accepted;
+                            });
                         },
                         headerText: "Plugin settings: " + plugin.name,
                         allowNone: true,
@@ -71,12 +85,118 @@ window.discotron.PluginListController = class extends window.discotron.Controlle
                             name: "Enabled",
                             value: this._guild.enabledPlugins.has(pluginId) || this._guild.enabledPlugins.size === 0,
                             devName: "enabled"
+                        }, {
+                            type: "switch",
+                            name: "Use a custom prefix in this guild",
+                            value: this._guild.pluginPrefixes[pluginId] !== undefined,
+                            devName: "customPrefix"
+                        }, {
+                            type: "input",
+                            name: "Custom prefix",
+                            value: this._guild.getPluginPrefix(pluginId, plugin.prefix),
+                            placeholder: "Global prefix: " + (plugin.prefix === "" ? "(none)" : plugin.prefix),
+                            devName: "prefix"
                         }]
                     });
                 };
 
+                card.querySelector(".command-settings-button").onclick = (event) => {
+                    event.stopPropagation();
+
+                    new discotron.CommandSettingsWidgetController({
+                        guild: this._guild,
+                        plugin: plugin,
+                        onCommandSettingsSave: (settings) => {
+                            const refusals = {};
+                            const refuse = (commandKey, reason) => {
+                                refusals[commandKey] = refusals[commandKey] !== undefined ? refusals[commandKey] + " " + reason : reason;
+                            };
+                            const saves = [];
+                            for (const commandKey in settings) {
+                                if (settings[commandKey].aliases !== undefined) {
+                                    saves.push(this._guild.setCommandAliases(pluginId, commandKey, settings[commandKey].aliases).then((accepted) => {
+                                        if (!accepted) {
+                                            refuse(commandKey, "Aliases were refused, they must be single words that are not already triggers.");
+                                        }
+                                    }));
+                                }
+                                saves.push(this._guild.setCommandCooldown(pluginId, commandKey, settings[commandKey].cooldown).then((accepted) => {
+                                    if (!accepted) {
+                                        refuse(commandKey, "Cooldown was refused, its duration must be a number of seconds.");
+                                    }
+                                }));
+                            }
+                            return Promise.all(saves).then(() => refusals);
+                        },
+                        onCommandPermissionSave: (commandKey, usersRoles) => {
+                            this._guild.setCommandPermission(pluginId, commandKey, usersRoles);
+                        }
+                    });
+                };
+
+                card.querySelector(".channel-settings-button").onclick = (event) => {
+                    event.stopPropagation();
+
+                    this._guild.getChannels().then((channels) => {
+                        const pluginChannels = this._guild.getPluginChannels(pluginId);
+
+                        new discotron.ChannelListWidgetController({
+                            channels: channels,
+                            selectedChannels: pluginChannels.allowed,
+                            deniedChannels: pluginChannels.denied,
+                            allowDeny: true,
+                            headerText: "Channels: " + plugin.name,
+                            description: "If some channels or categories are allowed, the plugin can only be used in them. The setting of a channel takes precedence over the one of its category.",
+                            onChannelSelectorSave: (allowedChannels, deniedChannels) => {
+                                this._guild.setPluginChannels(pluginId, allowedChannels, deniedChannels);
+                            }
+                        });
+                    }).catch(console.error);
+                };
+
+                card.querySelector(".move-up-button").onclick = (event) => {
+                    event.stopPropagation();
+                    this._movePlugin(event.target.closest(".repository-card"), -1);
+                };
+
+                card.querySelector(".move-down-button").onclick = (event) => {
+                    event.stopPropagation();
+                    this._movePlugin(event.target.closest(".repository-card"), 1);
+                };
+
                 document.getElementById("plugin-container").appendChild(card);
             }
         }).catch(console.error);
     }
+
+    /**
+     * @param {object} plugins {pluginId: Plugin}
+     * @returns {Array} Plugin ids from the highest priority in this guild to the lowest
+     */
+    _sortByPriority(plugins) {
+        const pluginIds = Object.keys(plugins);
+        const getPriority = (pluginId) => this._guild.getPluginPriority(pluginId, plugins[pluginId].priority);
+        return pluginIds.slice().sort((a, b) => (getPriority(b) - getPriority(a)) || (pluginIds.indexOf(a) - pluginIds.indexOf(b)));
+    }
+
+    /**
+     * Move the card of a plugin in the list and save the new order of the plugins
+     * @param {HTMLElement} card Card of the plugin
+     * @param {number} direction -1 to move it up, 1 to move it down
+     */
+    _movePlugin(card, direction) {
+        const container = document.getElementById("plugin-container");
+        if (direction < 0 && card.previousElementSibling !== null) {
+            container.insertBefore(card, card.previousElementSibling);
+        } else if (direction > 0 && card.nextElementSibling !== null) {
+            container.insertBefore(card.nextElementSibling, card);
+        }
+
+        const cards = container.querySelectorAll(".repository-card");
+        const priorities = {};
+        for (let i = 0; i < cards.length; i++) {
+            priorities[cards[i].dataset.pluginId] = cards.length - i;
+        }
+        this._guild.setPluginPriorities(priorities);
+    }
 };
\ No newline at end of file
@@ -29,43 +29,7 @@ window.discotron.HelpController = class extends window.discotron.Controller {
                 pluginCard.querySelector(".plugin-description").textContent = plugin.description;
 
                 for (let i = 0; i < plugin.commands.length; i++) {
-                    const command = plugin.commands[i];
-
-                    const commandTemplate = document.getElementById("template-command");
-                    const commandContainer = document.importNode(commandTemplate.content, true);
-
-                    let displayedCommand = "";
-
-                    switch (command.triggerType) {
-                        case "command":
-                            displayedCommand = "!" + command.trigger;
-                            break;
-                        case "words":
-                            displayedCommand = "Words: " + command.trigger.join(", ");
-                            break;
-                        case "all":
-                            displayedCommand = "(all)";
-                            break;
-                    }
-
-                    commandContainer.querySelector(".command").textContent = displayedCommand;
-
-                    for (let j = 0; j < command.args.length; j++) {
-                        const arg = command.args[j];
-                        if (arg.defaultValue !== undefined) {
-                            commandContainer.querySelector(".command-args").textContent += "[" + arg.name + "]";
-                        } else {
-                            commandContainer.querySelector(".command-args").textContent += "<" + arg.name + ">";
-                        }
-                    }
-
-                    if (command.args.length === 0) {
-                        commandContainer.querySelector(".command-args").textContent = "(no args)";
-                    }
-
-                    commandContainer.querySelector(".command-description").textContent = command.help;
-
-                    pluginCard.querySelector(".plugin-commands").appendChild(commandContainer);
+                    this._displayCommand(pluginCard, plugin.commands[i]);
                 }
 
 
@@ -73,4 +37,68 @@ window.discotron.HelpController = class extends window.discotron.Controller {
             }
         }).catch(console.error);
     }
+
+    /**
+     * Display the help of a command, followed by the help of its subcommands
+     * @param {DocumentFragment} pluginCard Card of the plugin containing the command
+     * @param {object} command Command as sent by the bot
+     * @param {string} [parentPath=""] Triggers of the parent commands, e.g. "!playlist" for "!playlist add"
+     */
+    _displayCommand(pluginCard, command, parentPath = "") {
+        const commandTemplate = document.getElementById("template-command");
+        const commandContainer = document.importNode(commandTemplate.content, true);
+
+        let displayedCommand = "";
+        const path = parentPath === "" ? "!" + command.trigger : parentPath + " " + command.trigger;
+
+        switch (command.triggerType) {
+            case "command":
+                displayedCommand = path;
+                if (command.aliases.length > 0) {
+                    displayedCommand += " (aliases: " + command.aliases.join(", ") + ")";
+                }
+                break;
+            case "words":
+                displayedCommand = "Words: " + command.trigger.join(", ");
+                break;
+            case "regex":
+                displayedCommand = "Regex: /" + command.trigger + "/" + command.flags;
+                break;
+            case "all":
+                displayedCommand = "(all)";
+                break;
+        }
+
+        commandContainer.querySelector(".command").textContent = displayedCommand;
+
+        for (let j = 0; j < command.args.length; j++) {
+            const arg = command.args[j];
+            if (arg.required) {
+                commandContainer.querySelector(".command-args").textContent += "<" + arg.name + ">";
+            } else {
+                commandContainer.querySelector(".command-args").textContent += "[" + arg.name + "]";
+            }
+        }
+
+        for (let j = 0; j < command.options.length; j++) {
+            const option = command.options[j];
+            commandContainer.querySelector(".command-args").textContent += "[--" + option.name + "]";
+        }
+
+        if (command.args.length === 0 && command.options.length === 0) {
+            if (command.subcommands.length > 0) {
+                commandContainer.querySelector(".command-args").textContent = "<" + command.subcommands.map((subcommand) => subcommand.trigger).join("|") + ">";
+            } else {
+                commandContainer.querySelector(".command-args").textContent = "(no args)";
+            }
+        }
+
+        commandContainer.querySelector(".command-description").textContent = command.help;
+
+        pluginCard.querySelector(".plugin-commands").appendChild(commandContainer);
+
+        for (let i = 0; i < command.subcommands.length; i++) {
+            this._displayCommand(pluginCard, command.subcommands[i], path);
+        }
+    }
 };
\ No newline at end of file
@@ -40,6 +40,7 @@ window.discotron.BotStatusController = class extends window.discotron.Controller
 
             document.getElementById("bot-name").innerHTML += "<span class=\"bot-status " + classStatus + "\">" + status + "</span>";
             document.getElementById("bot-presence").value = data.presenceText;
+            document.getElementById("welcome-message").value = data.welcomeMessage;
             document.getElementById("maintenance-enabled").checked = data.maintenance;
         }).catch(console.error);
     }
@@ -62,6 +63,10 @@ window.discotron.BotStatusController = class extends window.discotron.Controller
             saveSettingsButton.disabled = false;
         };
 
+        document.getElementById("welcome-message").onkeyup = () => {
+            saveSettingsButton.disabled = false;
+        };
+
         document.getElementById("maintenance-enabled").onchange = () => {
             saveSettingsButton.disabled = false;
         };
@@ -71,6 +76,7 @@ window.discotron.BotStatusController = class extends window.discotron.Controller
 
             discotron.WebAPI.queryBot("discotron-dashboard", "set-bot-config", {
                 presenceText: document.getElementById("bot-presence").value,
+                welcomeMessage: document.getElementById("welcome-message").value,
                 maintenance: document.getElementById("maintenance-enabled").checked
             }).catch(console.error);
         };
@@ -86,6 +92,16 @@ window.discotron.BotStatusController = class extends window.discotron.Controller
             }).catch(console.error);
         };
 
+        const syncButton = document.getElementById("sync-application-commands");
+        syncButton.onclick = () => {
+            syncButton.disabled = true;
+            syncButton.value = "Registering...";
+            discotron.WebAPI.queryBot("discotron-dashboard", "sync-application-commands").then((count) => {
+                syncButton.value = count === false ? "Registration failed, see logs" : count + " commands registered";
+                syncButton.disabled = false;
+            }).catch(console.error);
+        };
+
         document.getElementById("owners-selector").onclick = () => {
             discotron.WebAPI.queryBot("discotron-dashboard", "get-owner-ids").then((owners) => {
                 const userRoles = owners.map((owner) => {
@@ -68,6 +68,7 @@ window.discotron.RepositoryListController = class extends window.discotron.Contr
                                         // Query API
                                         plugin.enabled = settings.enabled;
                                         plugin.prefix = settings.globalPrefix;
+                                        plugin.priority = settings.priority;
 
                                         // Update card
                                         cardTitle.textContent = (plugin.enabled ? "" : "[Disabled] ") + plugin.name;
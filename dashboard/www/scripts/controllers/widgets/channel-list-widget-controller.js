@@ -6,21 +6,42 @@ window.discotron.ChannelListWidgetController = class extends window.discotron.Wi
      * @class
      * @param {object} options Args
      * @param {Array} options.channels An array of Channel
-     * @param {Array} options.selectedChannels Default selected channel discord ids
-     * @param {Function} options.onChannelSelectorSave Callback called when the user is done selecting channel
+     * @param {Array} options.selectedChannels Default selected channel discord ids, the allowed ones if allowDeny is set
+     * @param {Array} [options.deniedChannels] Default denied channel discord ids, only used if allowDeny is set
+     * @param {Function} options.onChannelSelectorSave Callback called when the user is done selecting channel, given the allowed and the denied channel ids if allowDeny is set
      * @param {Function} options.onClose Callback called when the widget is closed
+     * @param {boolean} [options.allowDeny=false] If set, each channel and category can be allowed, denied or left to default instead of being selected
+     * @param {string} [options.headerText] Title of the widget
+     * @param {string} [options.description] Text displayed under the title
      */
-    constructor({channels, selectedChannels, onChannelSelectorSave, onClose = () => {}}) {
+    constructor({channels, selectedChannels, deniedChannels = [], onChannelSelectorSave, onClose = () => {}, allowDeny = false, headerText = undefined, description = undefined}) {
         super({
             widgetPageName:  "channels-selector.html",
             onSave: () => {
-                onChannelSelectorSave(this._getSelectedChannels());
+                if (this._allowDeny) {
+                    onChannelSelectorSave(this._getChannelsInState("allowed"), this._getChannelsInState("denied"));
+                } else {
+                    onChannelSelectorSave(this._getSelectedChannels());
+                }
             },
             onLoad: () => {
                 this._channels = channels;
                 this._selectedChannels = selectedChannels;
+                this._deniedChannels = deniedChannels;
+                this._allowDeny = allowDeny;
 
-                this._displayChannels();
+                if (headerText !== undefined) {
+                    this._widgetContainer.querySelector(".widget-header").textContent = headerText;
+                }
+                if (description !== undefined) {
+                    this._widgetContainer.querySelector(".description").textContent = description;
+                }
+
+                if (this._allowDeny) {
+                    this._displayChannelRules();
+                } else {
+                    this._displayChannels();
+                }
             },
             onClose: onClose
         });
@@ -43,6 +64,22 @@ window.discotron.ChannelListWidgetController = class extends window.discotron.Wi
         return results;
     }
 
+    /**
+     * @param {string} state "allowed" or "denied"
+     * @returns {Array} Ids of the channels and categories set to the given state
+     */
+    _getChannelsInState(state) {
+        const allContainers = this._widgetContainer.querySelectorAll(".channel-rule");
+        const results = [];
+        for (let i = 0; i < allContainers.length; i++) {
+            const element = allContainers[i];
+            if (element.querySelector(".channel-rule-select").value === state) {
+                results.push(element.dataset.discordId);
+            }
+        }
+        return results;
+    }
+
     /**
      * Add events to the checkboxes if needed to track selected channel state
      */
@@ -71,4 +108,32 @@ window.discotron.ChannelListWidgetController = class extends window.discotron.Wi
             this._widgetContainer.querySelector(".channel-selector").appendChild(channelContainer);
         }
     }
+
+    /**
+     * Add the categories, then the text channels, each with a select to allow or deny it
+     */
+    _displayChannelRules() {
+        const channels = Object.values(this._channels).filter((channel) => channel.type === "category" || channel.type === "text");
+        channels.sort((a, b) => (a.type === b.type ? 0 : (a.type === "category" ? -1 : 1)));
+
+        for (let i = 0; i < channels.length; i++) {
+            const channel = channels[i];
+
+            const template = document.getElementById("template-channel-rule");
+            const channelContainer = document.importNode(template.content, true);
+
+            channelContainer.querySelector(".channel-rule").dataset.discordId = channel.discordId;
+            channelContainer.querySelector(".channel-selector-channel").textContent = channel.type === "category" ? "Category: " + channel.name : "#" + channel.name;
+
+            let state = "default";
+            if (this._selectedChannels.includes(channel.discordId)) {
+                state = "allowed";
+            } else if (this._deniedChannels.includes(channel.discordId)) {
+                state = "denied";
+            }
+            channelContainer.querySelector(".channel-rule-select").value = state;
+
+            this._widgetContainer.querySelector(".channel-selector").appendChild(channelContainer);
+        }
+    }
 };
\ No newline at end of file
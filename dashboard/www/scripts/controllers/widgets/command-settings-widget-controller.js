@@ -0,0 +1,203 @@
+/**
+ * Widget to change the settings of each command of a plugin in a guild
+ */
+window.discotron.CommandSettingsWidgetController = class extends window.discotron.WidgetController {
+    /**
+     * @class
+     * @param {object} options Args
+     * @param {discotron.Guild} options.guild Guild in which the settings apply
+     * @param {discotron.Plugin} options.plugin Plugin containing the commands
+     * @param {Function} options.onCommandSettingsSave Callback called with {commandKey: {aliases, cooldown}} when the user is done changing the settings,
+     *  returns a promise resolving to {commandKey: reason} for the settings refused by the bot
+     * @param {Function} options.onCommandPermissionSave Callback called with (commandKey, usersRoles) when the user is done changing the permission of a command
+     * @param {Function} [options.onClose=()=>{}] Callback called when the widget is closed
+     */
+    constructor({guild, plugin, onCommandSettingsSave, onCommandPermissionSave, onClose = () => {}}) {
+        super({
+            widgetPageName: "command-settings.html",
+            onSave: () => {
+                return onCommandSettingsSave(this._getCommandSettings()).then((refusals) => {
+                    this._displayRefusals(refusals);
+                    return Object.keys(refusals).length === 0;
+                });
+            },
+            onLoad: () => {
+                this._guild = guild;
+                this._plugin = plugin;
+                this._onCommandPermissionSave = onCommandPermissionSave;
+                this._displayCommands();
+            },
+            onClose: onClose
+        });
+    }
+
+    /**
+     * @returns {object} {commandKey: {aliases, cooldown}} settings entered by the user, cooldown is null to use the default one, aliases is undefined for commands that are not of type "command"
+     */
+    _getCommandSettings() {
+        const settings = {};
+        const containers = this._widgetContainer.querySelectorAll(".command-settings");
+        for (let i = 0; i < containers.length; i++) {
+            const container = containers[i];
+            const aliasesInput = container.querySelector(".command-aliases");
+            settings[container.dataset.commandKey] = {
+                aliases: aliasesInput.disabled ? undefined : aliasesInput.value.split(",").map((alias) => {
+                    return alias.trim();
+                }).filter((alias) => alias !== ""),
+                cooldown: this._getCooldown(container)
+            };
+        }
+        return settings;
+    }
+
+    /**
+     * Show why the settings of a command were refused, the widget stays open to correct them
+     * @param {object} refusals {commandKey: reason}
+     */
+    _displayRefusals(refusals) {
+        const containers = this._widgetContainer.querySelectorAll(".command-settings");
+        for (let i = 0; i < containers.length; i++) {
+            const reason = refusals[containers[i].dataset.commandKey];
+            containers[i].querySelector(".command-settings-error").textContent = reason !== undefined ? reason : "";
+        }
+    }
+
+    /**
+     * @param {HTMLElement} container Container of the settings of a command
+     * @returns {object|null} {scope, duration, charges} entered by the user, null to use the default cooldown
+     */
+    _getCooldown(container) {
+        const scope = container.querySelector(".command-cooldown-scope").value;
+        if (scope === "default") {
+            return null;
+        }
+        if (scope === "none") {
+            return {
+                scope: "user",
+                duration: 0,
+                charges: 1
+            };
+        }
+
+        // Invalid numbers are refused by the bot rather than turning the cooldown off
+        return {
+            scope: scope,
+            duration: parseFloat(container.querySelector(".command-cooldown-duration").value),
+            charges: parseInt(container.querySelector(".command-cooldown-charges").value, 10) || 1
+        };
+    }
+
+    /**
+     * Fill the cooldown fields of a command
+     * @param {DocumentFragment} commandContainer Container of the settings of the command
+     * @param {object} command Command as sent by the bot
+     */
+    _displayCooldown(commandContainer, command) {
+        const cooldown = this._guild.getCommandCooldown(this._plugin.id, command.key);
+        const durationInput = commandContainer.querySelector(".command-cooldown-duration");
+        const chargesInput = commandContainer.querySelector(".command-cooldown-charges");
+
+        if (command.cooldown !== undefined) {
+            durationInput.placeholder = command.cooldown.duration;
+            chargesInput.placeholder = command.cooldown.charges;
+        }
+
+        if (cooldown === undefined) {
+            commandContainer.querySelector(".command-cooldown-scope").value = "default";
+        } else if (cooldown.duration === 0) {
+            commandContainer.querySelector(".command-cooldown-scope").value = "none";
+        } else {
+            commandContainer.querySelector(".command-cooldown-scope").value = cooldown.scope;
+            durationInput.value = cooldown.duration;
+            chargesInput.value = cooldown.charges;
+        }
+    }
+
+    /**
+     * Describe who can use a command and open the permission widget on click
+     * @param {DocumentFragment} commandContainer Container of the settings of the command
+     * @param {object} command Command as sent by the bot
+     */
+    _displayPermission(commandContainer, command) {
+        const description = commandContainer.querySelector(".command-permission-description");
+        const displayDescription = () => {
+            const permission = this._guild.getCommandPermission(this._plugin.id, command.key);
+            if (permission !== undefined) {
+                description.textContent = "Custom users and roles";
+            } else if (command.defaultPermission !== undefined) {
+                description.textContent = "Default: " + command.defaultPermission;
+            } else {
+                description.textContent = "Default: same as the plugin";
+            }
+        };
+        displayDescription();
+
+        commandContainer.querySelector(".command-permission-button").onclick = () => {
+            const permission = this._guild.getCommandPermission(this._plugin.id, command.key);
+
+            new discotron.UserRoleWidgetController({
+                guild: this._guild,
+                usersRoles: permission !== undefined ? permission.usersRoles : [],
+                onUserRoleSave: (usersRoles) => {
+                    this._onCommandPermissionSave(command.key, usersRoles);
+                    displayDescription();
+                },
+                headerText: "Command permission: " + command.key,
+                allowNone: true
+            });
+        };
+    }
+
+    /**
+     * Display a form for each command of the plugin
+     */
+    _displayCommands() {
+        this._widgetContainer.querySelector(".plugin-name").textContent = this._plugin.name;
+
+        const commands = this._flattenCommands(this._plugin.commands);
+        if (commands.length === 0) {
+            this._widgetContainer.querySelector("#no-commands").style.display = "block";
+        }
+
+        for (let i = 0; i < commands.length; i++) {
+            const command = commands[i];
+
+            const template = document.getElementById("template-command-settings");
+            const commandContainer = document.importNode(template.content, true);
+
+            let trigger = command.key;
+            if (command.aliases.length > 0) {
+                trigger += " (" + command.aliases.join(", ") + ")";
+            }
+
+            commandContainer.querySelector(".command-settings").dataset.commandKey = command.key;
+            commandContainer.querySelector(".command-settings-trigger").textContent = trigger;
+            commandContainer.querySelector(".command-settings-help").textContent = command.help;
+            const aliasesInput = commandContainer.querySelector(".command-aliases");
+            if (command.triggerType === "command") {
+                aliasesInput.value = this._guild.getCommandAliases(this._plugin.id, command.key).join(", ");
+            } else {
+                // Only commands triggered by a prefix and a word can have aliases
+                aliasesInput.disabled = true;
+                aliasesInput.placeholder = "Only for commands of type command";
+            }
+            this._displayCooldown(commandContainer, command);
+            this._displayPermission(commandContainer, command);
+
+            this._widgetContainer.querySelector(".command-settings-container").appendChild(commandContainer);
+        }
+    }
+
+    /**
+     * @param {Array} commands Commands as sent by the bot
+     * @returns {Array} The commands followed by their subcommands, depth first
+     */
+    _flattenCommands(commands) {
+        let flattened = [];
+        for (let i = 0; i < commands.length; i++) {
+            flattened.push(commands[i]);
+            flattened = flattened.concat(this._flattenCommands(commands[i].subcommands));
+        }
+        return flattened;
+    }
+};
@@ -24,12 +24,14 @@ window.discotron.PluginSettingsWidgetController = class extends window.discotron
     }
 
     /**
-     * @returns {object} {enabled, globalPrefix} get plugin settings set by the user
+     * @returns {object} {enabled, globalPrefix, priority} get plugin settings set by the user, priority is null to use the one declared by the plugin
      */
     _getPluginSettings() {
+        const priority = parseInt(this._widgetContainer.querySelector(".priority").value, 10);
         return {
             enabled: this._widgetContainer.querySelector(".enabled-checkbox").checked,
-            globalPrefix: this._widgetContainer.querySelector(".global-prefix").value
+            globalPrefix: this._widgetContainer.querySelector(".global-prefix").value,
+            priority: isNaN(priority) ? null : priority
         };
     }
 
@@ -42,6 +44,10 @@ window.discotron.PluginSettingsWidgetController = class extends window.discotron
         this._widgetContainer.querySelector(".enabled-checkbox").checked = this._plugin.enabled;
         this._widgetContainer.querySelector(".logs").value = this._plugin.logs.join("\r\n");
         this._widgetContainer.querySelector(".global-prefix").value = this._plugin.prefix;
+        this._widgetContainer.querySelector(".priority").placeholder = "Declared by the plugin: " + this._plugin.defaultPriority;
+        if (this._plugin.priority !== this._plugin.defaultPriority) {
+            this._widgetContainer.querySelector(".priority").value = this._plugin.priority;
+        }
 
         this._widgetContainer.querySelector(".refresh-logs").onclick = () => {
             discotron.WebAPI.queryBot("discotron-dashboard", "get-plugin-logs", {
@@ -51,6 +57,28 @@ window.discotron.PluginSettingsWidgetController = class extends window.discotron
                 this._widgetContainer.querySelector(".logs").value = this._plugin.logs.join("\r\n");
             }).catch(console.error);
         };
+
+        this._widgetContainer.querySelector(".refresh-scheduled-jobs").onclick = () => {
+            this._displayScheduledJobs();
+        };
+        this._displayScheduledJobs();
+    }
+
+    /**
+     * Query the jobs scheduled by the plugin and display them, soonest first
+     */
+    _displayScheduledJobs() {
+        discotron.WebAPI.queryBot("discotron-dashboard", "get-scheduled-jobs", {
+            pluginId: this._plugin.id
+        }).then((jobs) => {
+            const lines = jobs.map((job) => {
+                const nextRun = new Date(job.nextRun);
+                const schedule = job.type === "date" ? "once" : (job.type === "interval" ? "every " + job.schedule + "s" : "cron \"" + job.schedule + "\"");
+                const scope = job.discordGuildId === "" ? "global" : "guild " + job.discordGuildId;
+                return `[${nextRun.toLocaleDateString()} ${nextRun.toLocaleTimeString()}] ${job.name} (${schedule}, ${scope})`;
+            });
+            this._widgetContainer.querySelector(".scheduled-jobs").value = lines.length > 0 ? lines.join("\r\n") : "No scheduled job";
+        }).catch(console.error);
     }
 
     /**
@@ -1,6 +1,6 @@
 /**
  * Widget to select userRole (mostly for permissions)
- * Allows for customInputs (only checkbox are supported atm)
+ * Allows for customInputs (switches and text inputs)
  */
 window.discotron.UserRoleWidgetController = class extends window.discotron.WidgetController {
     /**
@@ -8,11 +8,11 @@ window.discotron.UserRoleWidgetController = class extends window.discotron.Widge
      * @param {object} options Args
      * @param {discotron.Guild} options.guild Guild for which we list the users and roles
      * @param {Array} options.usersRoles Currently selected users/roles for whatever setting this widget is needed
-     * @param {Function} options.onUserRoleSave Callback to be called when the user is done selecting the users/roles
+     * @param {Function} options.onUserRoleSave Callback to be called when the user is done selecting the users/roles, the widget stays open if it returns a promise resolving to false
      * @param {boolean} options.displayRoles True is the widget allows choosing roles as well as users
      * @param {string} options.headerText Help text displayed on top
      * @param {boolean} options.allowNone Allows to enter no users nor roles
-     * @param {Array} options.customInputs Array of objects for custom inputs, e.g: [{type: "input", name: ""}]
+     * @param {Array} options.customInputs Array of objects for custom inputs, e.g: [{type: "switch|input", name: "", value: "", devName: "", placeholder: ""}]
      * @param {Function} options.onClose Called when user cancels saving
      * @param {string} [options.inputHelp="Grant permission to user / role"] Text display above the name input
      */
@@ -22,7 +22,7 @@ window.discotron.UserRoleWidgetController = class extends window.discotron.Widge
         super({
             widgetPageName: "user-role-selector.html",
             onSave: () => {
-                onUserRoleSave(this._getUsersRoles(), this._getCustomSettings());
+                return onUserRoleSave(this._getUsersRoles(), this._getCustomSettings());
             },
             onLoad: () => {
                 this._guild = guild;
@@ -67,6 +67,13 @@ window.discotron.UserRoleWidgetController = class extends window.discotron.Widge
             customSettings[checkbox.dataset.devName] = checkbox.checked;
         }
 
+        // Text inputs
+        const inputs = this._widgetContainer.querySelectorAll(".custom-input-text");
+        for (let i = 0; i < inputs.length; i++) {
+            const input = inputs[i];
+            customSettings[input.dataset.devName] = input.value;
+        }
+
         return customSettings;
     }
 
@@ -198,6 +205,18 @@ window.discotron.UserRoleWidgetController = class extends window.discotron.Widge
                     this._widgetContainer.querySelector(".additional-settings").appendChild(switchContainer);
                     break;
                 }
+                case "input": {
+                    const inputTemplate = document.getElementById("template-custom-input");
+                    const inputContainer = document.importNode(inputTemplate.content, true);
+
+                    inputContainer.querySelector(".custom-input-text").value = customInput.value;
+                    inputContainer.querySelector(".custom-input-text").placeholder = customInput.placeholder || customInput.name;
+                    inputContainer.querySelector(".custom-input-text").dataset.devName = customInput.devName;
+                    inputContainer.querySelector(".custom-input-title").textContent = customInput.name;
+
+                    this._widgetContainer.querySelector(".additional-settings").appendChild(inputContainer);
+                    break;
+                }
             }
         }
 
@@ -6,7 +6,7 @@ window.discotron.WidgetController = class {
      * @class
      * @param {object} options Args
      * @param {string} options.widgetPageName Name of the html file of the widget
-     * @param {Function} options.onSave  Called when the user saves
+     * @param {Function} options.onSave  Called when the user saves, the widget stays open if it returns a promise resolving to false
      * @param {Function} options.onLoad Called when widget is displayed
      * @param {Function} options.onClose Called when widget is closed
      */
@@ -45,8 +45,7 @@ window.discotron.WidgetController = class {
     _addEvents() {
         this._widgetContainer.onclick = (evt) => {
             if (evt.target === this._widgetContainer || evt.target === this._widgetContainer.querySelector(".widget-middle")) {
-                this._onSave();
-                this._widgetContainer.remove();
+                this._save();
             }
         };
 
@@ -56,8 +55,18 @@ window.discotron.WidgetController = class {
         };
 
         this._widgetContainer.querySelector(".save-button").onclick = (evt) => {
-            this._onSave();
-            this._widgetContainer.remove();
+            this._save();
         };
     }
+
+    /**
+     * Call onSave and close the widget, unless onSave resolves to false
+     */
+    _save() {
+        Promise.resolve(this._onSave()).then((isSaved) => {
+            if (isSaved !== false) {
+                this._widgetContainer.remove();
+            }
+        }).catch(console.error);
+    }
 };
\ No newline at end of file
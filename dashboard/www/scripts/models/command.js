@@ -5,15 +5,26 @@ window.discotron.Command = class extends window.discotron.CommandModel {
     /**
      * @class
      * @param {object} settings Settings
-     * @param {string} [settings.triggerType = "command"] Type of trigger, can be "command|words|all|reaction" (note: "all" is not affected by spam detection)
-     * @param {string[]} [settings.trigger = []] Word(s) triggering the command
+     * @param {string} [settings.triggerType = "command"] Type of trigger, can be "command|words|regex|all|reaction" (note: "all" is not affected by spam detection)
+     * @param {string[]} [settings.trigger = []] Word(s) triggering the command, pattern of the regular expression for triggerType "regex",
+     *  or emojis for triggerType "reaction" (unicode, custom emoji id, name or mention), any emoji triggers it if empty
+     * @param {string} [settings.flags = ""] Flags of the regular expression for triggerType "regex", e.g. "gi"
+     * @param {string[]} [settings.aliases = []] Other words triggering the command, for triggerType "command" only
      * @param {string} [settings.help = ""] Describe the command
-     * @param {object} [settings.args = []] Arguments of the command : e.g. [{name: "turns", defaultValue: 8, help: "Number of turns"}]
-     * @param {Function} [settings.action = () => {}] Action to trigger when the command is called. Receives args, discordMessage as parameters
+     * @param {object} [settings.args = []] Arguments of the command : e.g. [{name: "turns", type: "integer", min: 1, defaultValue: 8, help: "Number of turns"}]
+     * @param {object} [settings.options = []] Named options of the command, given as --name or --name=value : e.g. [{name: "silent", type: "boolean", defaultValue: false}]
+     * @param {Function} [settings.action = () => {}] Action to trigger when the command is called. Receives (discordMessage, args, context) as parameters, see CommandContext
      * @param {boolean} [settings.ownersOnly = false] True to only allow the owner(s) to use the command
+     * @param {string} [settings.defaultPermission] Who can use the command if the guild admins did not choose, can be *everyone* or *admin*, the permission of the plugin is used if not set
      * @param {boolean} [settings.requiresMention = false] Set to true if the bot must be mentioned for that
      * @param {boolean} [settings.bypassSpamDetection = false] Set to true to not penalize the user for spamming the command.
      * @param {string} [settings.scope = "everywhere"] Scope where the command can be triggered, can be "everywhere|pm|guild"
+     * @param {boolean} [settings.allowEdits = false] Set to true to run the command again when the message is edited, its first reply is then edited instead of sending a new one
+     * @param {object} [settings.cooldown] Limits how often the command can be used : e.g. {scope: "user|channel|guild", duration: 30, charges: 2, message: "Wait {remaining}."}
+     * @param {number} [settings.priority = 0] Handlers of a plugin triggered by the same message are called from the highest priority to the lowest
+     * @param {string} [settings.reactionEvent = "add"] For triggerType "reaction", whether adding or removing the reaction triggers the command, can be "add|remove|both"
+     * @param {string} [settings.messageAuthor = "any"] For triggerType "reaction", who must have sent the message the reaction is on, can be "any|bot|others"
+     * @param {object} [settings.subcommands = []] Settings of the subcommands, for triggerType "command" only : e.g. [{trigger: "add", args: [...], action: () => {}}]
      */
     constructor(settings) {
         super(settings);
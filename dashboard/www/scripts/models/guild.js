@@ -14,9 +14,17 @@ window.discotron.Guild = class extends window.discotron.GuildModel {
      * @param {Set} options.enabledPlugins Array of plugin ids that are enabled
      * @param {Set} options.admins Array of UserRole who have admin privilege on the bot
      * @param {object} options.permissions Object binding pluginsIds to userRole array
+     * @param {object} options.commandAliases Object binding pluginsIds to {command key => [aliases]}
+     * @param {object} options.commandCooldowns Object binding pluginsIds to {command key => {scope, duration, charges}}
+     * @param {boolean} options.suggestCommands True to suggest the closest commands when an unknown one is used
+     * @param {boolean} options.mentionPrefix True to also accept a mention of the bot as command prefix
+     * @param {object} options.pluginPrefixes Object binding pluginsIds to the prefix used in this guild
+     * @param {object} options.pluginChannels Object binding pluginsIds to {allowed: [channel ids], denied: [channel ids]}
+     * @param {object} options.commandPermissions Object binding pluginsIds to {command key => Permission}
+     * @param {object} options.pluginPriorities Object binding pluginsIds to their priority in this guild
      */
-    constructor({discordId, name, iconURL, acronym, commandPrefix, allowedChannelIds, enabledPlugins, admins, permissions}) {
-        super({discordId, commandPrefix, allowedChannelIds, enabledPlugins, admins, permissions});
+    constructor({discordId, name, iconURL, acronym, commandPrefix, allowedChannelIds, enabledPlugins, admins, permissions, commandAliases, commandCooldowns, suggestCommands, mentionPrefix, pluginPrefixes, pluginChannels, commandPermissions, pluginPriorities}) {
+        super({discordId, commandPrefix, allowedChannelIds, enabledPlugins, admins, permissions, commandAliases, commandCooldowns, suggestCommands, mentionPrefix, pluginPrefixes, pluginChannels, commandPermissions, pluginPriorities});
 
         this._name = name;
         this._iconURL = (iconURL === null) ? discotron.utils.generateAcronymIcon(acronym, "#fff", "#4e4e4e") : iconURL;
@@ -117,6 +125,17 @@ window.discotron.Guild = class extends window.discotron.GuildModel {
                     permissions[pluginId] = new discotron.Permission(this.discordId, pluginId, usersRoles);
                 }
 
+                const commandPermissions = {};
+                for (const pluginId in guild.commandPermissions) {
+                    commandPermissions[pluginId] = {};
+                    for (const commandKey in guild.commandPermissions[pluginId]) {
+                        const usersRoles = guild.commandPermissions[pluginId][commandKey].map((userRole) => {
+                            return new discotron.UserRole(userRole.discordUserId, userRole.discordRoleId);
+                        });
+                        commandPermissions[pluginId][commandKey] = new discotron.Permission({discordGuildId: guild.discordId, pluginId: pluginId, usersRoles: usersRoles});
+                    }
+                }
+
                 // Guilds register themselves in window.discotron.Guild._guilds
                 new discotron.Guild({
                     discordId: guild.discordId,
@@ -127,7 +146,15 @@ window.discotron.Guild = class extends window.discotron.GuildModel {
                     allowedChannelIds: new Set(guild.allowedChannelIds),
                     enabledPlugins: new Set(guild.enabledPluginIds),
                     admins: new Set(admins),
-                    permissions: permissions
+                    permissions: permissions,
+                    commandAliases: guild.commandAliases,
+                    commandCooldowns: guild.commandCooldowns,
+                    suggestCommands: guild.suggestCommands,
+                    mentionPrefix: guild.mentionPrefix,
+                    pluginPrefixes: guild.pluginPrefixes,
+                    pluginChannels: guild.pluginChannels,
+                    commandPermissions: commandPermissions,
+                    pluginPriorities: guild.pluginPriorities
                 });
             }
         });
@@ -213,6 +240,40 @@ window.discotron.Guild = class extends window.discotron.GuildModel {
         return super.commandPrefix;
     }
 
+    /**
+     * @param {boolean} suggestCommands True to suggest the closest commands when an unknown one is used
+     */
+    set suggestCommands(suggestCommands) {
+        this._suggestCommands = suggestCommands;
+        discotron.WebAPI.queryBot("discotron-dashboard", "set-guild-suggest-commands", {
+            suggestCommands: suggestCommands
+        }, this.discordId).catch(console.error);
+    }
+
+    /**
+     * @returns {boolean} True if the closest commands are suggested when an unknown one is used
+     */
+    get suggestCommands() {
+        return super.suggestCommands;
+    }
+
+    /**
+     * @param {boolean} mentionPrefix True to also accept a mention of the bot as command prefix
+     */
+    set mentionPrefix(mentionPrefix) {
+        this._mentionPrefix = mentionPrefix;
+        discotron.WebAPI.queryBot("discotron-dashboard", "set-guild-mention-prefix", {
+            mentionPrefix: mentionPrefix
+        }, this.discordId).catch(console.error);
+    }
+
+    /**
+     * @returns {boolean} True if a mention of the bot is accepted as command prefix
+     */
+    get mentionPrefix() {
+        return super.mentionPrefix;
+    }
+
     /**
      * Set allowed channels
      * @param {Array} allowedChannelIds Array of allowed channel ids
@@ -277,6 +338,141 @@ window.discotron.Guild = class extends window.discotron.GuildModel {
         }, this.discordId);
     }
 
+    /**
+     * Set the users and roles allowed to use a command, replacing the permission of the plugin
+     * @param {string} pluginId Id of the plugin
+     * @param {string} commandKey Key of the command in the plugin
+     * @param {Array} usersRoles Array of UserRole, empty to use the default permission of the command
+     */
+    setCommandPermission(pluginId, commandKey, usersRoles) {
+        if (this._commandPermissions[pluginId] === undefined) {
+            this._commandPermissions[pluginId] = {};
+        }
+
+        if (usersRoles.length === 0) {
+            delete this._commandPermissions[pluginId][commandKey];
+        } else {
+            this._commandPermissions[pluginId][commandKey] = new discotron.Permission({discordGuildId: this.discordId, pluginId: pluginId, usersRoles: usersRoles});
+        }
+
+        discotron.WebAPI.queryBot("discotron-dashboard", "set-command-permission", {
+            pluginId: pluginId,
+            commandKey: commandKey,
+            userRoles: usersRoles
+        }, this.discordId);
+    }
+
+    /**
+     * Set the custom aliases of a command
+     * @param {string} pluginId Id of the plugin
+     * @param {string} commandKey Key of the command in the plugin
+     * @param {Array} aliases Array of aliases
+     * @returns {Promise} resolve(accepted {boolean}) false if an alias contains spaces or is already a trigger, reject()
+     */
+    setCommandAliases(pluginId, commandKey, aliases) {
+        return discotron.WebAPI.queryBot("discotron-dashboard", "set-command-aliases", {
+            pluginId: pluginId,
+            commandKey: commandKey,
+            aliases: aliases
+        }, this.discordId).then((result) => {
+            if (result === false) {
+                return false;
+            }
+
+            if (this._commandAliases[pluginId] === undefined) {
+                this._commandAliases[pluginId] = {};
+            }
+            this._commandAliases[pluginId][commandKey] = aliases;
+            return true;
+        });
+    }
+
+    /**
+     * @param {string} pluginId Id of the plugin
+     * @param {string} commandKey Key of the command in the plugin
+     * @param {object|null} cooldown {scope, duration, charges}, null to use the default cooldown of the command
+     * @returns {Promise} resolve(accepted {boolean}) false if the cooldown is not valid, reject()
+     */
+    setCommandCooldown(pluginId, commandKey, cooldown) {
+        return discotron.WebAPI.queryBot("discotron-dashboard", "set-command-cooldown", {
+            pluginId: pluginId,
+            commandKey: commandKey,
+            cooldown: cooldown
+        }, this.discordId).then((result) => {
+            if (result === false) {
+                return false;
+            }
+
+            if (this._commandCooldowns[pluginId] === undefined) {
+                this._commandCooldowns[pluginId] = {};
+            }
+            if (cooldown === null) {
+                delete this._commandCooldowns[pluginId][commandKey];
+            } else {
+                this._commandCooldowns[pluginId][commandKey] = cooldown;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * @param {string} pluginId Id of the plugin
+     * @param {string|null} prefix Prefix of the plugin in this guild, null to use the global prefix
+     * @returns {Promise} resolve(accepted {boolean}) false if the bot refused the prefix, reject(error {string})
+     */
+    setPluginPrefix(pluginId, prefix) {
+        return discotron.WebAPI.queryBot("discotron-dashboard", "set-plugin-prefix-override", {
+            pluginId: pluginId,
+            prefix: prefix
+        }, this.discordId).then((data) => {
+            if (data === false) {
+                return false;
+            }
+
+            if (prefix === null) {
+                delete this._pluginPrefixes[pluginId];
+            } else {
+                this._pluginPrefixes[pluginId] = prefix.toLowerCase();
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Order the plugins in this guild
+     * @param {object} priorities Object binding pluginsIds to their priority, empty to use the priorities set by the owners
+     */
+    setPluginPriorities(priorities) {
+        this._pluginPriorities = priorities;
+
+        discotron.WebAPI.queryBot("discotron-dashboard", "set-plugin-priorities", {
+            priorities: priorities
+        }, this.discordId);
+    }
+
+    /**
+     * Set the channels in which the plugin can be used in this guild
+     * @param {string} pluginId Id of the plugin
+     * @param {Array} allowedChannelIds Ids of the channels and categories where the plugin is allowed, empty to allow every channel
+     * @param {Array} deniedChannelIds Ids of the channels and categories where the plugin is denied
+     */
+    setPluginChannels(pluginId, allowedChannelIds, deniedChannelIds) {
+        if (allowedChannelIds.length === 0 && deniedChannelIds.length === 0) {
+            delete this._pluginChannels[pluginId];
+        } else {
+            this._pluginChannels[pluginId] = {
+                allowed: allowedChannelIds,
+                denied: deniedChannelIds
+            };
+        }
+
+        discotron.WebAPI.queryBot("discotron-dashboard", "set-plugin-channels", {
+            pluginId: pluginId,
+            allowedChannelIds: allowedChannelIds,
+            deniedChannelIds: deniedChannelIds
+        }, this.discordId);
+    }
+
     /**
      * Get the users/roles allowed to use the plugin
      * @param {string} pluginId ID of the plugin
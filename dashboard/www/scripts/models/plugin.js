@@ -13,10 +13,13 @@ window.discotron.Plugin = class extends window.discotron.PluginModel {
      * @param {object} options.commands Object containing arrays of Command objects, grouped by trigger type
      * @param {string} options.defaultPermission Who can access the command if no permissions are set by the server owner, can be *everyone*, *admin*
      * @param {boolean} options.enabled True if plugin is enabled by the bot owner
+     * @param {number} options.priority Plugins triggered by the same message are called from the highest priority to the lowest
+     * @param {number} options.defaultPriority Priority declared by the plugin, used if the owner did not set one
      * @param {Array} options.logs List of logs the plugin can output to
      */
-    constructor({id, name, description, version, prefix, commands, defaultPermission, enabled, logs}) {
-        super({id, name, description, version, prefix, commands, defaultPermission, enabled, logs});
+    constructor({id, name, description, version, prefix, commands, defaultPermission, enabled, priority, defaultPriority, logs}) {
+        super({id, name, description, version, prefix, commands, defaultPermission, enabled, priority, logs});
+        this._defaultPriority = defaultPriority;
         discotron.Plugin._plugins[id] = this;
     }
 
@@ -39,6 +42,8 @@ window.discotron.Plugin = class extends window.discotron.PluginModel {
                             commands: plugin.commands,
                             defaultPermission: plugin.defaultPermission,
                             enabled: plugin.enabled,
+                            priority: plugin.priority,
+                            defaultPriority: plugin.defaultPriority,
                             logs: plugin.logs
                         });
                     }
@@ -96,6 +101,32 @@ window.discotron.Plugin = class extends window.discotron.PluginModel {
         return super.enabled;
     }
 
+    /**
+     * Update the priority of this plugin in the database (owner only)
+     * @param {number|null} priority New priority, null to use the one declared by the plugin
+     */
+    set priority(priority) {
+        this._priority = priority !== null ? priority : this._defaultPriority;
+        discotron.WebAPI.queryBot("discotron-dashboard", "set-plugin-priority", {
+            priority: priority,
+            pluginId: this._id
+        });
+    }
+
+    /**
+     * @returns {number} priority of this plugin
+     */
+    get priority() {
+        return super.priority;
+    }
+
+    /**
+     * @returns {number} Priority declared by the plugin
+     */
+    get defaultPriority() {
+        return this._defaultPriority;
+    }
+
     /**
      * @param {Array} logs array of string
      */
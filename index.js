@@ -71,7 +71,7 @@ async function init() {
      * Register Discord events and associate them to Discotron handlers
      */
     function registerEvents() {
-        // TODO: Handle error and reaction
+        // TODO: Handle error
 
         discordClient.on("ready", () => {
             Logger.info("Logged into Discord as **" + discordClient.user.tag + "**");
@@ -80,7 +80,9 @@ async function init() {
         });
 
         discordClient.on("message", discotron.onMessage);
+        discordClient.on("messageUpdate", discotron.onMessageUpdate);
         discordClient.on("messageReactionAdd", discotron.onReaction);
+        discordClient.on("messageReactionRemove", discotron.onReactionRemove);
         discordClient.on("guildCreate", discotron.onJoinGuild);
         discordClient.on("guildDelete", discotron.onLeaveGuild);
         discordClient.on("error", () => {
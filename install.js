@@ -92,6 +92,17 @@ do {
     // 59 bytes long
 } while (token.length !== 59);
 
+let publicKey;
+do {
+    if (publicKey !== undefined) {
+        console.log("Invalid value! Must be 64 hexadecimal characters long.");
+    }
+    console.log("(General Information tab) To use slash commands, set the Interactions endpoint URL to", domain.replace("/dashboard/login.html", "/interactions"));
+    publicKey = readlineSync.question("OPTIONAL: Enter the PUBLIC KEY: ");
+
+    // Either empty or 32 bytes in hexadecimal
+} while (publicKey.length !== 0 && publicKey.match(/^[0-9a-fA-F]{64}$/) === null);
+
 let privateKey;
 let certificate = "";
 if (redirectURL.startsWith("https")) {
@@ -128,6 +139,7 @@ let data = JSON.stringify({
     applicationId: appId,
     oauth2Secret: appSecret,
     redirectURI: domain,
+    publicKey: publicKey,
     privateKey: privateKey,
     certificate: certificate
 }, null, 4);
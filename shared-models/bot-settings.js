@@ -8,11 +8,13 @@ class BotSettingsModel {
      * @param {string} [options.helpText=""] Text displayed in the help of the bot
      * @param {boolean} [options.maintenance=false] True to only allow the owner(s) to use the bot
      * @param {string} [options.presenceText=""] Bot presence text
+     * @param {string} [options.welcomeMessage=""] Sent to the owner of a guild when the bot joins it, nothing is sent if empty
      */
-    constructor({helpText = "", maintenance = false, presenceText = ""} = {}) {
+    constructor({helpText = "", maintenance = false, presenceText = "", welcomeMessage = ""} = {}) {
         this._helpText = helpText;
         this._presenceText = presenceText;
         this._maintenance = maintenance;
+        this._welcomeMessage = welcomeMessage;
     }
 
     /**
@@ -35,6 +37,13 @@ class BotSettingsModel {
     get maintenance() {
         return this._maintenance;
     }
+
+    /**
+     * @returns {string} welcome message, empty if disabled
+     */
+    get welcomeMessage() {
+        return this._welcomeMessage;
+    }
 }
 
 if (typeof module !== "undefined" && typeof module.exports !== "undefined") {
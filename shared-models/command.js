@@ -2,9 +2,28 @@
  * Represents an argument of a command of a plugin
  */
 class CommandArgumentModel {
-    constructor({ name = "", help = "", allowsSpace = "" }) {
+    /**
+     * @class
+     * @param {object} settings Settings
+     * @param {string} [settings.name = ""] Name of the argument
+     * @param {string} [settings.help = ""] Describe the argument
+     * @param {string} [settings.type = "string"] Type of the argument, can be "string|integer|number|boolean|user|channel|role|enum|duration"
+     * @param {boolean} [settings.required = false] True if the command cannot be called without this argument
+     * @param {*} [settings.defaultValue = undefined] Value used when the argument is not given
+     * @param {number} [settings.min = undefined] Minimum value for "integer|number|duration" (in seconds for durations)
+     * @param {number} [settings.max = undefined] Maximum value for "integer|number|duration" (in seconds for durations)
+     * @param {string[]} [settings.choices = []] Allowed values for "enum"
+     * @param {boolean} [settings.allowsSpace = false] True if the argument consumes the rest of the positional args, as they were typed without the options
+     */
+    constructor({ name = "", help = "", type = "string", required = false, defaultValue = undefined, min = undefined, max = undefined, choices = [], allowsSpace = false } = {}) {
         this._name = name;
         this._help = help;
+        this._type = type;
+        this._required = required;
+        this._defaultValue = defaultValue;
+        this._min = min;
+        this._max = max;
+        this._choices = choices;
         this._allowsSpace = allowsSpace;
     }
 
@@ -22,6 +41,48 @@ class CommandArgumentModel {
         return this._help; 
     }
 
+    /**
+     * @returns {string} Type of the argument
+     */
+    get type() {
+        return this._type;
+    }
+
+    /**
+     * @returns {boolean} True if the argument must be given
+     */
+    get required() {
+        return this._required;
+    }
+
+    /**
+     * @returns {*} Value used when the argument is not given
+     */
+    get defaultValue() {
+        return this._defaultValue;
+    }
+
+    /**
+     * @returns {number} Minimum value
+     */
+    get min() {
+        return this._min;
+    }
+
+    /**
+     * @returns {number} Maximum value
+     */
+    get max() {
+        return this._max;
+    }
+
+    /**
+     * @returns {string[]} Allowed values for "enum"
+     */
+    get choices() {
+        return this._choices;
+    }
+
     /**
      * @returns {boolean} True if the argument consumes the rest of the command
      */
@@ -37,19 +98,33 @@ class CommandModel {
     /**
      * @class
      * @param {object} settings Settings
-     * @param {string} [settings.triggerType = "command"] Type of trigger, can be "command|words|all|reaction" (note: "all" is not affected by spam detection)
-     * @param {string[]} [settings.trigger = []] Word(s) triggering the command
+     * @param {string} [settings.triggerType = "command"] Type of trigger, can be "command|words|regex|all|reaction" (note: "all" is not affected by spam detection)
+     * @param {string[]} [settings.trigger = []] Word(s) triggering the command, pattern of the regular expression for triggerType "regex",
+     *  or emojis for triggerType "reaction" (unicode, custom emoji id, name or mention), any emoji triggers it if empty
+     * @param {string} [settings.flags = ""] Flags of the regular expression for triggerType "regex", e.g. "gi"
+     * @param {string[]} [settings.aliases = []] Other words triggering the command, for triggerType "command" only
      * @param {string} [settings.help = ""] Describe the command
-     * @param {object} [settings.args = []] Arguments of the command : e.g. [{name: "turns", defaultValue: 8, help: "Number of turns"}]
-     * @param {Function} [settings.action = () => {}] Action to trigger when the command is called. Receives args, discordMessage as parameters
+     * @param {object} [settings.args = []] Arguments of the command : e.g. [{name: "turns", type: "integer", min: 1, defaultValue: 8, help: "Number of turns"}]
+     * @param {object} [settings.options = []] Named options of the command, given as --name or --name=value : e.g. [{name: "silent", type: "boolean", defaultValue: false}]
+     * @param {Function} [settings.action = () => {}] Action to trigger when the command is called. Receives (discordMessage, args, context) as parameters, see CommandContext
      * @param {boolean} [settings.ownersOnly = false] True to only allow the owner(s) to use the command
+     * @param {string} [settings.defaultPermission] Who can use the command if the guild admins did not choose, can be *everyone* or *admin*, the permission of the plugin is used if not set
      * @param {boolean} [settings.requiresMention = false] Set to true if the bot must be mentioned for that
      * @param {boolean} [settings.bypassSpamDetection = false] Set to true to not penalize the user for spamming the command.
      * @param {string} [settings.scope = "everywhere"] Scope where the command can be triggered, can be "everywhere|pm|guild"
+     * @param {boolean} [settings.allowEdits = false] Set to true to run the command again when the message is edited, its first reply is then edited instead of sending a new one
+     * @param {object} [settings.cooldown] Limits how often the command can be used : e.g. {scope: "user|channel|guild", duration: 30, charges: 2, message: "Wait {remaining}."}
+     * @param {number} [settings.priority = 0] Handlers of a plugin triggered by the same message are called from the highest priority to the lowest,
+     *  it only orders the commands within their plugin, plugins are ordered by their own priority
+     * @param {string} [settings.reactionEvent = "add"] For triggerType "reaction", whether adding or removing the reaction triggers the command, can be "add|remove|both"
+     * @param {string} [settings.messageAuthor = "any"] For triggerType "reaction", who must have sent the message the reaction is on, can be "any|bot|others"
+     * @param {object} [settings.subcommands = []] Settings of the subcommands, for triggerType "command" only : e.g. [{trigger: "add", args: [...], action: () => {}}]
      */
-    constructor({ triggerType = "command", trigger = [], help = "", args = [], ownersOnly = false, scope = "everywhere", requiresMention = false, bypassSpamDetection = false, action = () => { } } = {}) {
+    constructor({ triggerType = "command", trigger = [], flags = "", aliases = [], help = "", args = [], options = [], ownersOnly = false, defaultPermission = undefined, scope = "everywhere", requiresMention = false, bypassSpamDetection = false, allowEdits = false, cooldown = undefined, priority = 0, reactionEvent = "add", messageAuthor = "any", subcommands = [], action = () => { } } = {}) {
         this._triggerType = triggerType;
         this._trigger = trigger;
+        this._flags = flags;
+        this._aliases = aliases;
         this._help = help;
         this._args = [];
 
@@ -57,11 +132,19 @@ class CommandModel {
             this._args.push(new CommandArgumentModel(args[i]));
         }
 
-        this._args = args;
+        this._options = options.map((option) => new CommandArgumentModel(option));
+
         this._ownersOnly = ownersOnly;
+        this._defaultPermission = defaultPermission;
         this._scope = scope;
         this._requiresMention = requiresMention;
         this._bypassSpamDetection = bypassSpamDetection;
+        this._allowEdits = allowEdits;
+        this._priority = priority;
+        this._reactionEvent = reactionEvent;
+        this._messageAuthor = messageAuthor;
+        this._cooldown = cooldown;
+        this._subcommands = subcommands;
         this._action = action;
     }
 
@@ -79,6 +162,20 @@ class CommandModel {
         return this._trigger;
     }
 
+    /**
+     * @returns {string} flags
+     */
+    get flags() {
+        return this._flags;
+    }
+
+    /**
+     * @returns {string[]} aliases
+     */
+    get aliases() {
+        return this._aliases;
+    }
+
     /**
      * @returns {string} help
      */
@@ -93,6 +190,13 @@ class CommandModel {
         return this._args;
     }
 
+    /**
+     * @returns {object} options
+     */
+    get options() {
+        return this._options;
+    }
+
     /**
      * @returns {boolean} ownersOnly
      */
@@ -100,6 +204,34 @@ class CommandModel {
         return this._ownersOnly;
     }
 
+    /**
+     * @returns {string|undefined} "everyone", "admin", or undefined to use the permission of the plugin
+     */
+    get defaultPermission() {
+        return this._defaultPermission;
+    }
+
+    /**
+     * @returns {number} Priority of the command among the handlers of its plugin
+     */
+    get priority() {
+        return this._priority;
+    }
+
+    /**
+     * @returns {string} "add", "remove" or "both", events triggering a command of type "reaction"
+     */
+    get reactionEvent() {
+        return this._reactionEvent;
+    }
+
+    /**
+     * @returns {string} "any", "bot" or "others", authors of the messages whose reactions trigger a command of type "reaction"
+     */
+    get messageAuthor() {
+        return this._messageAuthor;
+    }
+
     /**
      * @returns {string} scope
      */
@@ -121,6 +253,27 @@ class CommandModel {
         return this._bypassSpamDetection;
     }
 
+    /**
+     * @returns {boolean} allowEdits
+     */
+    get allowEdits() {
+        return this._allowEdits;
+    }
+
+    /**
+     * @returns {object} cooldown
+     */
+    get cooldown() {
+        return this._cooldown;
+    }
+
+    /**
+     * @returns {Array} subcommands
+     */
+    get subcommands() {
+        return this._subcommands;
+    }
+
     /**
      * @returns {Function} action
      */
@@ -131,6 +284,8 @@ class CommandModel {
 
 if (typeof module !== "undefined" && typeof module.exports !== "undefined") {
     module.exports = CommandModel;
+    module.exports.CommandArgumentModel = CommandArgumentModel;
 } else {
     window.discotron.CommandModel = CommandModel;
+    window.discotron.CommandArgumentModel = CommandArgumentModel;
 }
\ No newline at end of file
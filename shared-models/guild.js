@@ -11,14 +11,30 @@ class GuildModel {
      * @param {Set} options.enabledPlugins Set of the plugin Ids the bot is allowed to use in the guild
      * @param {Set} options.admins Array of users/roles allowed to change the bot settings in the guild
      * @param {object} options.permissions {plugin Id => permissions} describing for each plugin who has the right tu use it
+     * @param {object} options.commandAliases {plugin Id => {command key => [aliases]}} custom aliases added by the guild admins
+     * @param {object} options.commandCooldowns {plugin Id => {command key => {scope, duration, charges}}} cooldowns set by the guild admins
+     * @param {boolean} options.suggestCommands True to suggest the closest commands when an unknown one is used
+     * @param {boolean} options.mentionPrefix True to also accept a mention of the bot as command prefix
+     * @param {object} options.pluginPrefixes {plugin Id => prefix} plugin prefixes set by the guild admins, replacing the global ones
+     * @param {object} options.pluginPriorities {plugin Id => priority} order of the plugins set by the guild admins, replacing the global priorities
+     * @param {object} options.commandPermissions {plugin Id => {command key => permission}} users and roles allowed to use each command, replacing the permission of the plugin
+     * @param {object} options.pluginChannels {plugin Id => {allowed: [channel ids], denied: [channel ids]}} channels and categories where each plugin can be used
      */
-    constructor({discordId = undefined, commandPrefix = "!", allowedChannelIds = new Set([]), enabledPlugins = new Set([]), admins = new Set([]), permissions = {}} = {}) {
+    constructor({discordId = undefined, commandPrefix = "!", allowedChannelIds = new Set([]), enabledPlugins = new Set([]), admins = new Set([]), permissions = {}, commandAliases = {}, commandCooldowns = {}, suggestCommands = false, mentionPrefix = false, pluginPrefixes = {}, pluginChannels = {}, commandPermissions = {}, pluginPriorities = {}} = {}) {
         this._discordId = discordId;
         this._commandPrefix = commandPrefix;
         this._allowedChannelIds = allowedChannelIds;
         this._enabledPlugins = enabledPlugins;
         this._admins = admins;
         this._permissions = permissions;
+        this._commandAliases = commandAliases;
+        this._commandCooldowns = commandCooldowns;
+        this._suggestCommands = suggestCommands;
+        this._mentionPrefix = mentionPrefix;
+        this._pluginPrefixes = pluginPrefixes;
+        this._pluginChannels = pluginChannels;
+        this._commandPermissions = commandPermissions;
+        this._pluginPriorities = pluginPriorities;
     }
 
     /**
@@ -35,6 +51,20 @@ class GuildModel {
         return this._commandPrefix;
     }
 
+    /**
+     * @returns {boolean} True if the closest commands are suggested when an unknown one is used
+     */
+    get suggestCommands() {
+        return this._suggestCommands;
+    }
+
+    /**
+     * @returns {boolean} True if a mention of the bot is accepted as command prefix
+     */
+    get mentionPrefix() {
+        return this._mentionPrefix;
+    }
+
     /**
      * @returns {Array} list of allowed channel ids
      */
@@ -62,6 +92,119 @@ class GuildModel {
     get permissions() {
         return this._permissions;
     }
+
+    /**
+     * @returns {object} {plugin Id => prefix} plugin prefixes set by the guild admins
+     */
+    get pluginPrefixes() {
+        return this._pluginPrefixes;
+    }
+
+    /**
+     * @param {string} pluginId Id of the plugin
+     * @param {string} globalPrefix Prefix of the plugin set by the owners
+     * @returns {string} Prefix of the plugin in this guild
+     */
+    getPluginPrefix(pluginId, globalPrefix) {
+        if (this._pluginPrefixes[pluginId] === undefined) {
+            return globalPrefix;
+        }
+        return this._pluginPrefixes[pluginId];
+    }
+
+    /**
+     * @returns {object} {plugin Id => priority} order of the plugins set by the guild admins
+     */
+    get pluginPriorities() {
+        return this._pluginPriorities;
+    }
+
+    /**
+     * @param {string} pluginId Id of the plugin
+     * @param {number} globalPriority Priority of the plugin set by the owners
+     * @returns {number} Priority of the plugin in this guild
+     */
+    getPluginPriority(pluginId, globalPriority) {
+        if (this._pluginPriorities[pluginId] === undefined) {
+            return globalPriority;
+        }
+        return this._pluginPriorities[pluginId];
+    }
+
+    /**
+     * @returns {object} {plugin Id => {command key => permission}}
+     */
+    get commandPermissions() {
+        return this._commandPermissions;
+    }
+
+    /**
+     * @param {string} pluginId Id of the plugin
+     * @param {string} commandKey Key of the command in the plugin
+     * @returns {object|undefined} Permission set by the guild admins for the command, undefined if the command falls back to its default permission
+     */
+    getCommandPermission(pluginId, commandKey) {
+        if (this._commandPermissions[pluginId] === undefined) {
+            return undefined;
+        }
+        return this._commandPermissions[pluginId][commandKey];
+    }
+
+    /**
+     * @returns {object} {plugin Id => {allowed: [channel ids], denied: [channel ids]}}
+     */
+    get pluginChannels() {
+        return this._pluginChannels;
+    }
+
+    /**
+     * @param {string} pluginId Id of the plugin
+     * @returns {object} {allowed: [channel ids], denied: [channel ids]}, ids may be the ones of categories
+     */
+    getPluginChannels(pluginId) {
+        if (this._pluginChannels[pluginId] === undefined) {
+            return {allowed: [], denied: []};
+        }
+        return this._pluginChannels[pluginId];
+    }
+
+    /**
+     * @returns {object} {plugin Id => {command key => [aliases]}}
+     */
+    get commandAliases() {
+        return this._commandAliases;
+    }
+
+    /**
+     * @param {string} pluginId Id of the plugin
+     * @param {string} commandKey Key of the command in the plugin
+     * @returns {Array} Custom aliases for the command in this guild
+     */
+    getCommandAliases(pluginId, commandKey) {
+        if (this._commandAliases[pluginId] === undefined || this._commandAliases[pluginId][commandKey] === undefined) {
+            return [];
+        }
+        return this._commandAliases[pluginId][commandKey];
+    }
+
+    /**
+     * @returns {object} {plugin Id => {command key => {scope, duration, charges}}}
+     */
+    get commandCooldowns() {
+        return this._commandCooldowns;
+    }
+
+    /**
+     * @param {string} pluginId Id of the plugin
+     * @param {string} commandKey Key of the command in the plugin
+     * @returns {object|undefined} {scope, duration, charges} set by the guild admins, undefined if the command uses its default cooldown
+     */
+    getCommandCooldown(pluginId, commandKey) {
+        if (this._commandCooldowns[pluginId] === undefined) {
+            return undefined;
+        }
+        return this._commandCooldowns[pluginId][commandKey];
+    }
 }
 
 if (typeof module !== "undefined" && typeof module.exports !== "undefined") {
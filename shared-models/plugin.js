@@ -13,9 +13,10 @@ class PluginModel {
      * @param {object} options.commands Object containing arrays of Command objects, grouped by trigger type
      * @param {string} options.defaultPermission Who can access the command if no permissions are set by the server owner, can be *everyone*, *admin*
      * @param {boolean} options.enabled True if plugin is enabled by the bot owner
+     * @param {number} options.priority Plugins triggered by the same message are called from the highest priority to the lowest
      * @param {Array} options.logs List of logs the plugin can output to
      */
-    constructor({id = "", name = "", description = "", version = "", prefix = "", commands = {}, defaultPermission = "everyone", enabled = true, logs = []} = {}) {
+    constructor({id = "", name = "", description = "", version = "", prefix = "", commands = {}, defaultPermission = "everyone", enabled = true, priority = 0, logs = []} = {}) {
         this._name = name;
         this._id = id;
         this._description = description;
@@ -24,6 +25,7 @@ class PluginModel {
         this._commands = commands;
         this._defaultPermission = defaultPermission;
         this._enabled = enabled;
+        this._priority = priority;
         this._logs = logs;
     }
 
@@ -82,6 +84,13 @@ class PluginModel {
         return this._enabled;
     }
 
+    /**
+     * @returns {number} Priority of the plugin, set by the bot owner or declared by the plugin
+     */
+    get priority() {
+        return this._priority;
+    }
+
     /**
      * @returns {Array} List of logs the plugin can output to
      */
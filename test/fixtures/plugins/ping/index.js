@@ -0,0 +1,22 @@
+module.exports.config = {
+    name: "Ping",
+    id: "ping",
+    description: "Answers to the interactions of the tests",
+    version: "1.0.0",
+    defaultPermission: "everyone"
+};
+
+module.exports.commands = [{
+    trigger: "ping",
+    args: [{
+        name: "text",
+        allowsSpace: true
+    }],
+    action: (message, args) => {
+        return message.channel.send("pong" + (args.text !== undefined ? " " + args.text : ""));
+    }
+}, {
+    triggerType: "words",
+    trigger: ["ping"],
+    action: () => { }
+}];
@@ -0,0 +1,142 @@
+/**
+ * Posts interactions signed with a generated Ed25519 key to the interactions endpoint, as Discord would
+ * Loading Discotron starts the web server, the tests must be run with --test-force-exit
+ * Usage: npm test
+ */
+const { before, test } = require("node:test");
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const keys = crypto.generateKeyPairSync("ed25519");
+// The key is given by Discord as the hex of its raw 32 bytes, the end of its DER form
+const publicKey = keys.publicKey.export({ format: "der", type: "spki" }).slice(-32).toString("hex");
+
+global.discotronConfigPath = fs.mkdtempSync(path.join(os.tmpdir(), "discotron-test-"));
+fs.writeFileSync(global.discotronConfigPath + "/bot.json", JSON.stringify({
+    token: "",
+    applicationId: "",
+    oauth2Secret: "",
+    redirectURI: "http://localhost/dashboard/login.html",
+    publicKey: publicKey
+}));
+// Removed once every query is done, plugins keep using the database after the tests
+process.on("exit", () => {
+    fs.rmSync(global.discotronConfigPath, { recursive: true, force: true });
+});
+
+const Logger = require("../core/utils/logger.js");
+Logger.setSeverity("err");
+const database = require("../core/database/database.js");
+
+let interactions;
+let plugin;
+
+before(async () => {
+    database.openDatabase();
+    await database.doDatabaseMigrations();
+
+    global.discotron = require("../core/discotron.js");
+    interactions = require("../core/interactions.js");
+    const Plugin = require("../core/models/plugin.js");
+    plugin = new Plugin(path.join(__dirname, "fixtures", "plugins", "ping"));
+});
+
+/**
+ * Post an interaction to the endpoint
+ * @param {object} interaction Interaction object, as Discord sends it
+ * @param {boolean} [isSigned=true] False to post it with a signature made for another body
+ * @param {number} [time=now] Time in seconds at which the request is signed
+ * @returns {Promise} resolve(response {object}) {status, body}
+ */
+function post(interaction, isSigned = true, time = Math.floor(Date.now() / 1000)) {
+    const rawBody = Buffer.from(JSON.stringify(interaction));
+    const timestamp = String(time);
+    const signedBody = isSigned ? rawBody : Buffer.from("{}");
+    const headers = {
+        "X-Signature-Ed25519": crypto.sign(null, Buffer.concat([Buffer.from(timestamp), signedBody]), keys.privateKey).toString("hex"),
+        "X-Signature-Timestamp": timestamp
+    };
+
+    return new Promise((resolve) => {
+        const response = { status: 200 };
+        const res = {
+            status: (status) => {
+                response.status = status;
+                return res;
+            },
+            send: (body) => resolve(Object.assign(response, { body: body })),
+            json: (body) => resolve(Object.assign(response, { body: body })),
+            end: () => resolve(response)
+        };
+        interactions.onPost({
+            rawBody: rawBody,
+            body: interaction,
+            get: (header) => headers[header]
+        }, res);
+    });
+}
+
+/**
+ * @param {number} type Type of the interaction
+ * @param {object} data Data of the interaction
+ * @returns {object} Interaction sent by a user in private messages
+ */
+function createInteraction(type, data) {
+    return {
+        id: "1",
+        token: "token",
+        type: type,
+        channel_id: "2",
+        user: {
+            id: "3",
+            username: "user",
+            discriminator: "0001"
+        },
+        data: data
+    };
+}
+
+test("answers pings", async () => {
+    const response = await post({ type: 1 });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, { type: 1 });
+});
+
+test("runs application commands", async () => {
+    const response = await post(createInteraction(2, {
+        name: "ping",
+        options: [{ name: "text", type: 3, value: "hello" }]
+    }));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.type, 4);
+    assert.strictEqual(response.body.data.content, "pong hello");
+});
+
+test("runs the command of a button", async () => {
+    const command = plugin.commands.command[0];
+    const response = await post(createInteraction(3, {
+        custom_id: interactions.getButtonId(command, "again"),
+        component_type: 2
+    }));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.type, 4);
+    assert.strictEqual(response.body.data.content, "pong again");
+});
+
+test("refuses buttons which cannot trigger their command", () => {
+    assert.throws(() => interactions.getButtonId(plugin.commands.words[0]));
+    assert.throws(() => interactions.getButtonId(plugin.commands.command[0], "a".repeat(100)));
+});
+
+test("rejects invalid signatures", async () => {
+    const response = await post({ type: 1 }, false);
+    assert.strictEqual(response.status, 401);
+});
+
+test("rejects old requests", async () => {
+    const response = await post({ type: 1 }, true, Math.floor(Date.now() / 1000) - 60 * 60);
+    assert.strictEqual(response.status, 401);
+});